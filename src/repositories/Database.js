@@ -0,0 +1,76 @@
+// Small promise wrapper around the app's IndexedDB database. Anything bigger than a setting (conversation
+// sessions, recordings, embeddings) lives here rather than in localStorage.
+
+const DB_NAME = 'ossia'
+
+// Each step upgrades the database from the previous version. Add new object stores by appending a step;
+// never change a step that has shipped, users already have it applied.
+const upgrades = [
+  (db) => {
+    const sessions = db.createObjectStore('sessions', {keyPath: 'id'})
+    sessions.createIndex('updatedAt', 'updatedAt')
+  },
+  (db) => {
+    // cloned voices, one per profile
+    db.createObjectStore('voices', {keyPath: 'profileId'})
+  },
+  (db) => {
+    // recordings a voice is cloned from, uploaded or banked with the recorder
+    const clips = db.createObjectStore('voiceClips', {keyPath: 'id'})
+    clips.createIndex('profileId', 'profileId')
+  },
+]
+
+let connection = null
+
+export function openDatabase() {
+  if (!connection) {
+    connection = new Promise((resolve, reject) => {
+      if (!window.indexedDB) return reject(new Error('IndexedDB is not available in this browser'))
+      const request = indexedDB.open(DB_NAME, upgrades.length)
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < upgrades.length; version++) {
+          upgrades[version](request.result, request.transaction)
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => reject(new Error('Close other Ossia tabs to finish updating the database'))
+    })
+    connection.catch(() => connection = null)  // allow a retry later
+  }
+  return connection
+}
+
+function toPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+async function objectStore(storeName, mode = 'readonly') {
+  const db = await openDatabase()
+  return db.transaction(storeName, mode).objectStore(storeName)
+}
+
+export async function getRecord(storeName, key) {
+  return toPromise((await objectStore(storeName)).get(key))
+}
+
+export async function getAllRecords(storeName) {
+  return toPromise((await objectStore(storeName)).getAll())
+}
+
+export async function getRecordsByIndex(storeName, indexName, value) {
+  return toPromise((await objectStore(storeName)).index(indexName).getAll(value))
+}
+
+// Values must be plain data; reactive proxies can't be cloned into IndexedDB
+export async function putRecord(storeName, value) {
+  return toPromise((await objectStore(storeName, 'readwrite')).put(value))
+}
+
+export async function deleteRecord(storeName, key) {
+  return toPromise((await objectStore(storeName, 'readwrite')).delete(key))
+}
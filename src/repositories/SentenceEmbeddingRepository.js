@@ -0,0 +1,49 @@
+import { WorkerClient } from "@/workers/workerProtocol.js";
+import { trackDownloadProgress } from "@/utils/audio.js";
+import { useLoadingStore } from "@/stores/LoadingStore.js";
+
+const LOADING_BAR = 'SentenceEmbedderBar';
+
+let worker = null;
+let loading = null;
+let ready = false;
+
+function getWorker() {
+  if (!worker) {
+    worker = new WorkerClient(new Worker(new URL('../workers/sentenceEmbedder.worker.js', import.meta.url), { type: 'module' }));
+  }
+  return worker;
+}
+
+// Downloads the model the first time, with a progress bar like the other models. Nothing else starts the
+// download, so a failed one (e.g. offline) is only tried again when this is next called.
+export function loadSentenceEmbedder() {
+  if (loading) return loading;
+  const loadingStore = useLoadingStore();
+  const onProgress = (progress) => {
+    loadingStore.additionalLoadingBars[LOADING_BAR] = {
+      message: `loading the suggestion comparison model - ${Math.round(progress)}%`,
+      value: progress
+    };
+  };
+  onProgress(0);
+  loading = getWorker().request('load', {}, { onProgress: trackDownloadProgress(onProgress) })
+    .then(() => {
+      ready = true;
+    }, (error) => {
+      loading = null;
+      throw error;
+    })
+    .finally(() => delete loadingStore.additionalLoadingBars[LOADING_BAR]);
+  return loading;
+}
+
+export function sentenceEmbedderReady() {
+  return ready;
+}
+
+// Unit length vectors for texts; the model must have been loaded
+export async function embedSentences(texts) {
+  const { embeddings } = await getWorker().request('embed', { texts });
+  return embeddings;
+}
@@ -0,0 +1,70 @@
+import { WorkerClient } from "@/workers/workerProtocol.js";
+import { concatSamples, trackDownloadProgress, WHISPER_WINDOW_SECONDS } from "@/utils/audio.js";
+import { SAMPLE_RATE } from "@/utils/pcmCapture.js";
+import { speakerTurns } from "@/utils/speakerMatching.js";
+
+// Audio given to the encoder is cut to this: its memory use grows with length and more adds little
+export const MAX_EMBEDDING_SECONDS = 30;
+
+let worker = null;
+
+function getWorker() {
+  if (!worker) {
+    worker = new WorkerClient(new Worker(new URL('../workers/speakerEncoder.worker.js', import.meta.url), { type: 'module' }));
+  }
+  return worker;
+}
+
+export function normalise(vector) {
+  const length = Math.hypot(...vector) || 1;
+  return vector.map(value => value / length);
+}
+
+// x-vector for one clip; audio is mono at 16kHz and is handed over to the worker
+export async function embedSpeaker(audio) {
+  const { embedding } = await getWorker().request('embed', { audio }, { transfer: [audio.buffer] });
+  return normalise(embedding);
+}
+
+export function loadSpeakerEncoder(onProgress = () => {}) {
+  return getWorker().request('load', {}, { onProgress: trackDownloadProgress(onProgress) });
+}
+
+// Both models speaker separation needs; onProgress receives 0-100 over the two downloads
+export async function loadSpeakerSeparation(onProgress = () => {}) {
+  await getWorker().request('loadSegmentation', {}, { onProgress: trackDownloadProgress(progress => onProgress(progress / 2)) });
+  await loadSpeakerEncoder(progress => onProgress(50 + progress / 2));
+}
+
+const toSamples = (seconds) => Math.round(seconds * SAMPLE_RATE);
+
+/**
+ * Split a recording of the conversation partner(s) into turns by speaker, in the order they were said.
+ * Resolves to [{audio, embedding}] where embedding is the x-vector of that turn's speaker, the same for every
+ * turn by one person in this recording. If nobody could be picked out the whole recording comes back as one
+ * turn with a null embedding. audio is mono at 16kHz and is left untouched, every part is a copy.
+ */
+export async function separateSpeakers(audio) {
+  await loadSpeakerSeparation();
+  const { segments } = await getWorker().request('segment', { audio: audio.slice() });
+  const turns = speakerTurns(segments);
+  if (turns.length === 0) return splitTurn(audio, 0, audio.length, null);
+
+  const embeddings = {};
+  for (const speaker of new Set(turns.map(turn => turn.speaker))) {
+    const speech = concatSamples(turns
+      .filter(turn => turn.speaker === speaker)
+      .map(turn => audio.subarray(toSamples(turn.start), toSamples(turn.end))));
+    embeddings[speaker] = await embedSpeaker(speech.slice(0, MAX_EMBEDDING_SECONDS * SAMPLE_RATE));
+  }
+
+  return turns.flatMap(turn => splitTurn(audio, toSamples(turn.start), toSamples(turn.end), embeddings[turn.speaker]));
+}
+
+function splitTurn(audio, from, to, embedding) {
+  const parts = [];
+  for (let start = from; start < to; start += WHISPER_WINDOW_SECONDS * SAMPLE_RATE) {
+    parts.push({ audio: audio.slice(start, Math.min(to, start + WHISPER_WINDOW_SECONDS * SAMPLE_RATE)), embedding });
+  }
+  return parts;
+}
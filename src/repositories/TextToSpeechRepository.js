@@ -1,61 +1,165 @@
-import { AutoTokenizer, AutoProcessor, SpeechT5ForTextToSpeech, SpeechT5HifiGan, Tensor, AutoModel, read_audio } from '@huggingface/transformers';
-
-export default async function speak(text) {
-
-
-  // const synthesizer = await pipeline('text-to-speech', 'Xenova/speecht5_tts', { dtype: 'fp32' });
-  // const vocoder = await SpeechT5HifiGan.from_pretrained('Xenova/speecht5_hifigan', { dtype: 'q8' });
-
-  // Load the tokenizer and processor
-  const tokenizer = await AutoTokenizer.from_pretrained('Xenova/speecht5_tts');
-  const processor = await AutoProcessor.from_pretrained('Xenova/speecht5_tts');
-
-  // Load the models
-  // NOTE: We use the unquantized versions as they are more accurate
-  const model = await SpeechT5ForTextToSpeech.from_pretrained('Xenova/speecht5_tts', { dtype: 'fp32' });
-  const vocoder = await SpeechT5HifiGan.from_pretrained('Xenova/speecht5_hifigan', { dtype: 'fp32' });
-
-
-  // const { speaker_embeddings } = await encoderModel(inputs);
-  // console.log(speaker_embeddings)
-
-  // Base Model for TTS
-  // const response = await fetch('https://huggingface.co/datasets/Xenova/transformers.js-docs/resolve/main/speaker_embeddings.bin');
-
-  // const speaker_embeddings_data = new Float32Array(
-  //   await (await fetch('https://huggingface.co/datasets/Xenova/transformers.js-docs/resolve/main/speaker_embeddings.bin')).arrayBuffer()
-  // );
-  const speaker_embeddings_data = new Float32Array(
-    await (await fetch('/custom_speaker_embedding_single.bin')).arrayBuffer()
-  );
-  const speaker_embeddings = new Tensor(
-      'float32',
-      speaker_embeddings_data,
-      [1, speaker_embeddings_data.length]
-  )
-
-  const { input_ids } = tokenizer(text);
-  const { waveform } = await model.generate_speech(input_ids, speaker_embeddings, { vocoder });
-  console.log(waveform)
-
-  const sampleRate = 16000; // Replace with your actual sampling rate if different
-
-  // Create an AudioContext
-  const audioContext = new AudioContext();
-
-  // Create an AudioBuffer with 1 channel, length equal to waveform.size, and the desired sample rate
-  const audioBuffer = audioContext.createBuffer(1, waveform.size, sampleRate);
-
-  // Copy the waveform data into the AudioBuffer (assumes waveform.data is a Float32Array)
-  audioBuffer.copyToChannel(waveform.data, 0, 0);
-
-  // Create a buffer source node and set its buffer to the AudioBuffer
-  const source = audioContext.createBufferSource();
-  source.buffer = audioBuffer;
-
-  // Connect the source node to the AudioContext's destination (the speakers)
-  source.connect(audioContext.destination);
-
-  // Start playback. (Browsers require a user gesture to start AudioContext if it is suspended.)
-  source.start();
-}
\ No newline at end of file
+import { useLoadingStore } from "@/stores/LoadingStore.js";
+import { useSpeechStore } from "@/stores/SpeechStore.js";
+import { useAlertStore } from "@/stores/AlertStore.js";
+import { useSettingsStore } from "@/stores/SettingsStore.js";
+import {
+  FALLBACK_TTS_ENGINE,
+  createTextToSpeechEngine,
+  getTextToSpeechEngine,
+  speaksLanguage
+} from "@/repositories/textToSpeech/index.js";
+import { getLanguage } from "@/utils/languages.js";
+
+const LOADING_BAR = 'TTSBar';
+
+let engine = null;  // {id, instance, loaded} for the engine currently in use
+let failedEngineId = null;  // engine that could not be loaded, replaced by the fallback until the setting changes
+let generation = 0;  // bumped by stopSpeaking so anything queued or synthesising before it is dropped
+let processing = false;
+const queue = [];
+
+function engineIdToUse() {
+  const settingStore = useSettingsStore();
+  const requested = settingStore.voiceSettings.engine;
+  // picking a different engine in the settings gives the failed one another try next time it is chosen
+  if (failedEngineId && failedEngineId !== requested) failedEngineId = null;
+  const definition = getTextToSpeechEngine(requested);
+  // e.g. SpeechT5 only speaks English, the browser may have a voice for the user's language
+  if (failedEngineId || !speaksLanguage(definition, settingStore.language)) return FALLBACK_TTS_ENGINE;
+  return definition.id;
+}
+
+function loadEngine(id) {
+  const instance = createTextToSpeechEngine(id);
+  const { label, capabilities } = instance.definition;
+  const loadingStore = useLoadingStore();
+  const onProgress = (progress) => {
+    loadingStore.additionalLoadingBars[LOADING_BAR] = {
+      message: `loading ${label} - ${Math.round(progress)}%`,
+      value: progress
+    };
+  };
+  if (capabilities.requiresDownload) onProgress(0);
+  const loaded = instance.load(onProgress)
+    .finally(() => delete loadingStore.additionalLoadingBars[LOADING_BAR]);
+  return { id, instance, loaded };
+}
+
+function switchEngine(id) {
+  if (engine?.id !== id) {
+    engine?.instance.dispose();
+    engine = loadEngine(id);
+  }
+  return engine;
+}
+
+// The engine chosen in the settings, loaded; falls back to the browser's voice if it can't be loaded
+async function readyEngine() {
+  const current = switchEngine(engineIdToUse());
+  try {
+    await current.loaded;
+    return current.instance;
+  } catch (err) {
+    if (current.id === FALLBACK_TTS_ENGINE) throw err;
+    console.error(err);
+    failedEngineId = current.id;
+    if (engine === current) engine = null;
+    useAlertStore().showAlert('info', `${current.instance.definition.label} could not be loaded`,
+      "Using the browser's voice instead. Choose the voice again in the settings to retry.");
+    return readyEngine();
+  }
+}
+
+// An engine other than the one in the settings, e.g. to preview a voice before choosing it. Failing to load
+// it doesn't replace the chosen engine with the fallback.
+async function previewEngine(id) {
+  const current = switchEngine(id);
+  try {
+    await current.loaded;
+    return current.instance;
+  } catch (err) {
+    if (engine === current) engine = null;
+    throw err;
+  }
+}
+
+// One utterance at a time, in the order they were asked for
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+  const speechStore = useSpeechStore();
+  while (queue.length > 0) {
+    const utterance = queue.shift();
+    speechStore.queued = queue.length;
+    speechStore.currentText = utterance.text;
+    try {
+      const instance = utterance.engineId ? await previewEngine(utterance.engineId) : await readyEngine();
+      const prepared = await instance.prepare(utterance.text);
+      if (utterance.generation === generation) {
+        speechStore.lastSpoken = utterance.text;
+        const settingStore = useSettingsStore();
+        await instance.play(prepared, { ...settingStore.voiceSettings, language: settingStore.language });
+      }
+    } catch (err) {
+      console.error(err);
+      useAlertStore().showAlert('error', 'Could not speak the message', err.message);
+    }
+    utterance.resolve();
+  }
+  speechStore.currentText = null;
+  speechStore.speaking = false;
+  processing = false;
+}
+
+/**
+ * Queue text to be spoken after anything already queued. Resolves once it has been spoken, or skipped
+ * because stopSpeaking was called.
+ */
+export default function speak(text) {
+  return enqueue(text);
+}
+
+// engineId, if given, speaks it with that engine instead of the one in the settings
+function enqueue(text, engineId = null) {
+  return new Promise((resolve) => {
+    queue.push({ text, engineId, generation, resolve });
+    const speechStore = useSpeechStore();
+    speechStore.speaking = true;
+    speechStore.queued = queue.length;
+    processQueue();
+  });
+}
+
+// Stop what is playing and drop everything queued
+export function stopSpeaking() {
+  generation++;
+  queue.splice(0).forEach(utterance => utterance.resolve());
+  useSpeechStore().queued = 0;
+  engine?.instance.stop();
+}
+
+// Say something again; the neural engines cache recent utterances so this doesn't wait for synthesis
+export function replay(text = useSpeechStore().lastSpoken) {
+  if (!text) return Promise.resolve();
+  return speak(text);
+}
+
+// Say a sample sentence with the current voice settings, cutting off anything else. engineId previews another
+// engine without choosing it.
+export function testVoice(engineId = null) {
+  stopSpeaking();
+  return enqueue(getLanguage(useSettingsStore().language).testSentence, engineId);
+}
+
+// Drop the loaded engine so the next utterance loads it again, e.g. after the voice was cloned again or the
+// profile changed
+export function resetVoice() {
+  engine?.instance.dispose();
+  engine = null;
+  failedEngineId = null;
+}
+
+// Start loading the engine early so the first message isn't held up by the download
+export function preloadSpeech() {
+  readyEngine().catch(err => console.warn('Text to speech could not be loaded yet', err));
+}
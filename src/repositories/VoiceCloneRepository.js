@@ -0,0 +1,83 @@
+import { decodeAudio } from "@/utils/audio.js";
+import { embedSpeaker, loadSpeakerEncoder, MAX_EMBEDDING_SECONDS, normalise } from "@/repositories/SpeakerRepository.js";
+import { deleteRecord, getRecord, getRecordsByIndex, putRecord } from "@/repositories/Database.js";
+import { getActiveProfileId } from "@/utils/profileStorage.js";
+import { createId } from "@/utils/ids.js";
+import { SAMPLE_RATE } from "@/utils/pcmCapture.js";
+
+const MIN_CLIP_SECONDS = 1;
+
+function average(vectors) {
+  const mean = new Float32Array(vectors[0].length);
+  vectors.forEach(vector => vector.forEach((value, i) => mean[i] += value / vectors.length));
+  return mean;
+}
+
+/**
+ * Turn recordings of the user into a speaker embedding SpeechT5 can speak with: each clip is decoded to
+ * 16kHz mono, encoded to an x-vector and the vectors are averaged. onProgress receives {message, value}
+ * with value 0-100. Resolves to {embedding: Float32Array, clips: [name]}.
+ */
+export async function createClonedVoice(files, onProgress = () => {}) {
+  await loadSpeakerEncoder((progress) => onProgress({ message: `Downloading the voice encoder - ${Math.round(progress)}%`, value: progress }));
+  const embeddings = [];
+  const clips = [];
+  for (const [i, file] of files.entries()) {
+    onProgress({ message: `Analysing ${file.name} (${i + 1} of ${files.length})`, value: 100 * i / files.length });
+    let audio;
+    try {
+      audio = await decodeAudio(file, SAMPLE_RATE);
+    } catch {
+      throw new Error(`${file.name} could not be read as audio`);
+    }
+    if (audio.length < MIN_CLIP_SECONDS * SAMPLE_RATE) {
+      throw new Error(`${file.name} is too short, each clip needs at least ${MIN_CLIP_SECONDS} second of speech`);
+    }
+    embeddings.push(await embedSpeaker(audio.slice(0, MAX_EMBEDDING_SECONDS * SAMPLE_RATE)));
+    clips.push(file.name);
+  }
+  onProgress({ message: 'Done', value: 100 });
+  return { embedding: normalise(average(embeddings)), clips };
+}
+
+// {profileId, embedding, clips, createdAt}, or undefined if the profile has no cloned voice
+export function getClonedVoice(profileId = getActiveProfileId()) {
+  return getRecord('voices', profileId);
+}
+
+export function saveClonedVoice({ embedding, clips = [] }, profileId = getActiveProfileId()) {
+  return putRecord('voices', { profileId, embedding: Float32Array.from(embedding), clips: [...clips], createdAt: Date.now() });
+}
+
+export function deleteClonedVoice(profileId = getActiveProfileId()) {
+  return deleteRecord('voices', profileId);
+}
+
+/**
+ * Recordings stored for cloning: {id, profileId, name, blob, source, prompt?, createdAt}, where source is
+ * 'upload' or 'recording' and prompt is the sentence that was read for a banked recording.
+ */
+export async function getVoiceClips(profileId = getActiveProfileId()) {
+  const clips = await getRecordsByIndex('voiceClips', 'profileId', profileId);
+  return clips.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function saveVoiceClip({ id = createId(), name, blob, source = 'upload', prompt = null }, profileId = getActiveProfileId()) {
+  const clip = { id, profileId, name, blob, source, prompt, createdAt: Date.now() };
+  await putRecord('voiceClips', clip);
+  return clip;
+}
+
+export function deleteVoiceClip(id) {
+  return deleteRecord('voiceClips', id);
+}
+
+export async function deleteProfileVoiceClips(profileId) {
+  const clips = await getVoiceClips(profileId);
+  await Promise.all(clips.map(clip => deleteVoiceClip(clip.id)));
+}
+
+// Stored clips as Files, ready for createClonedVoice
+export function clipFiles(clips) {
+  return clips.map(clip => new File([clip.blob], clip.name, { type: clip.blob.type }));
+}
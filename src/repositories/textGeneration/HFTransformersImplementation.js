@@ -0,0 +1,64 @@
+import {pipeline} from '@huggingface/transformers';
+import {sleep} from "openai/core";
+import TextGenerator from "@/repositories/textGeneration/TextGenerator.js";
+
+export default class HFTransformersImplementation extends TextGenerator {
+  constructor(definition) {
+    super(definition);
+    this.engine = null;
+    this.engineLoading  = false;
+  }
+
+  async setup() {
+    const initProgressCallback = (initProgress) => {
+      console.log(initProgress);
+    }
+    // Allocate pipeline
+    this.engine = await pipeline("text-generation", this.options.model, {
+      device: "webgpu",
+      dtype: "q8", // auto, fp32, fp16, q8, int8, uint8, q4, bnb4, q4f16
+      progress_callback: initProgressCallback,
+    });
+  }
+
+  async create(messages) {
+    while (this.engineLoading) {
+      await sleep(100)
+    }
+    if (this.engine === null) {
+      this.engineLoading = true;
+      try {
+        console.debug("Setting up engine")
+        await this.setup()
+      }
+      finally {
+        this.engineLoading = false;
+      }
+    }
+    console.log(messages)
+    const output = await this.engine(messages, {max_new_tokens: 256});
+    console.log(output);
+    return output[0].generated_text.at(-1).content
+  }
+
+  // Exact once the model has loaded
+  countTokens(text) {
+    return this.engine ? this.engine.tokenizer.encode(text).length : super.countTokens(text)
+  }
+
+  async dispose() {
+    while (this.engineLoading) {
+      await sleep(100)
+    }
+    await this.engine?.dispose()
+    this.engine = null
+  }
+}
+
+HFTransformersImplementation.register('hf-llama-3.2-1b', {
+  label: 'Llama 3.2 1B (offline, experimental)',
+  description: 'Runs in this browser with transformers.js. Small and quick to download, but often ignores the ' +
+    'requested format.',
+  capabilities: {offline: true, jsonMode: false, streaming: false, requiresWebGPU: true, promptBudget: 2000},
+  options: {model: 'onnx-community/Llama-3.2-1B-Instruct'}
+})
@@ -0,0 +1,38 @@
+import OpenAI from "openai";
+import OpenAIImplementation from "@/repositories/textGeneration/OpenAIImplementation.js";
+import {useSettingsStore} from "@/stores/SettingsStore.js";
+
+// Any server speaking the OpenAI chat completions API, e.g. llama.cpp's server or Ollama on this machine
+export default class OpenAICompatibleImplementation extends OpenAIImplementation {
+  getClient() {
+    const settingStore = useSettingsStore()
+    const clientKey = [settingStore.customLLMBaseURL, settingStore.customLLMAPIKey].join('|')
+    if (this.client === null || this.clientKey !== clientKey) {
+      this.client = new OpenAI({
+        baseURL: settingStore.customLLMBaseURL,
+        // local servers usually ignore the key, but the client refuses to start without one
+        apiKey: settingStore.customLLMAPIKey || 'not-needed',
+        dangerouslyAllowBrowser: true
+      });
+      this.clientKey = clientKey
+    }
+    return this.client
+  }
+
+  // Registered without jsonMode, so no response_format: support for it varies between servers
+  requestBody(messages) {
+    return {...super.requestBody(messages), model: useSettingsStore().customLLMModel}
+  }
+}
+
+OpenAICompatibleImplementation.register('openai-compatible', {
+  label: 'OpenAI-compatible endpoint (llama.cpp, Ollama...)',
+  description: 'Point Ossia at any server that speaks the OpenAI chat completions API, such as a llama.cpp or ' +
+    'Ollama server running on this machine. The server must allow requests from this page (CORS).',
+  requiredSettings: [
+    {key: 'customLLMBaseURL', label: 'Base URL', hint: 'e.g. http://localhost:11434/v1 or http://localhost:8080/v1'},
+    {key: 'customLLMModel', label: 'Model name', hint: 'e.g. gemma2:2b'},
+    {key: 'customLLMAPIKey', label: 'API key', type: 'password', optional: true}
+  ],
+  capabilities: {offline: true, jsonMode: false, streaming: true, requiresWebGPU: false, promptBudget: 4000}
+})
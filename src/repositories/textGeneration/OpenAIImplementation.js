@@ -0,0 +1,54 @@
+import OpenAI from "openai";
+import TextGenerator from "@/repositories/textGeneration/TextGenerator.js";
+import {useSettingsStore} from "@/stores/SettingsStore.js";
+
+export default class OpenAIImplementation extends TextGenerator {
+  constructor(definition) {
+    super(definition);
+    this.client = null
+    this.clientKey = null
+  }
+
+  // Built on demand so a key typed in after the page loaded is picked up
+  getClient() {
+    const apiKey = useSettingsStore().openAIAPIKey
+    if (this.client === null || this.clientKey !== apiKey) {
+      this.client = new OpenAI({apiKey, dangerouslyAllowBrowser: true});
+      this.clientKey = apiKey
+    }
+    return this.client
+  }
+
+  requestBody(messages) {
+    return {
+      messages,
+      model: this.options.model,
+      temperature: 0.5,
+      top_p: 0.5,
+      ...(this.definition.capabilities.jsonMode && {response_format: {"type": "json_object"}})
+    }
+  }
+
+  async create(messages, signal) {
+    const completion = await this.getClient().chat.completions.create(this.requestBody(messages), {signal});
+    return completion.choices[0].message.content
+  }
+
+  async *stream(messages, signal) {
+    const stream = await this.getClient().chat.completions.create(
+      {...this.requestBody(messages), stream: true}, {signal});
+    for await (const chunk of stream) {
+      yield chunk.choices[0]?.delta?.content || ''
+    }
+  }
+}
+
+OpenAIImplementation.register('openai', {
+  label: 'OpenAI (GPT-4o)',
+  description: 'Uses ChatGPT through your own OpenAI account. Requests are sent to OpenAI and charged to your key.',
+  requiredSettings: [
+    {key: 'openAIAPIKey', label: 'OpenAI API Key', type: 'password'}
+  ],
+  capabilities: {offline: false, jsonMode: true, streaming: true, requiresWebGPU: false, promptBudget: 8000},
+  options: {model: 'gpt-4o'}
+})
@@ -0,0 +1,139 @@
+import {useSettingsStore} from "@/stores/SettingsStore.js";
+import {useAlertStore} from "@/stores/AlertStore.js";
+import {estimateTokens} from "@/utils/promptBudget.js";
+import parseSuggestions, {
+  SuggestionParseError,
+  SuggestionStreamParser
+} from "@/repositories/textGeneration/parseSuggestions.js";
+
+export const DEFAULT_TEXT_GENERATOR = 'openai'
+export const DEFAULT_PROMPT_BUDGET = 3000  // tokens, for providers that don't say
+const PARSE_RETRIES = 2  // extra attempts when a response cannot be read as suggestions
+
+const registry = new Map()
+
+export default class TextGenerator {
+  /**
+   * Make a provider selectable in the settings. Called by each subclass when its module loads; the same
+   * subclass may register several times with different options (e.g. one entry per WebLLM model).
+   *
+   * requiredSettings: [{key, label, type?, optional?, hint?}] where key is a SettingsStore field
+   * capabilities: {offline, jsonMode, streaming, requiresWebGPU, promptBudget}. offline and requiresWebGPU are
+   * shown in the settings, where models needing WebGPU can't be picked without it; jsonMode asks OpenAI-style
+   * APIs for a JSON object; promptBudget is how many tokens of prompt the model handles well, which the user
+   * can change per model
+   */
+  static register(id, {label, description = '', requiredSettings = [], capabilities = {}, options = {}}) {
+    registry.set(id, {id, label, description, requiredSettings, capabilities, options, implementation: this})
+  }
+
+  constructor(definition) {
+    this.definition = definition
+    this.options = definition.options
+  }
+
+  /**
+   * Generate a list of suggestions. Providers that can stream call onSuggestion with each suggestion as
+   * soon as it is complete; the full, cleaned list is still returned at the end. An unreadable response is
+   * asked for again, after calling onRetry so anything streamed from the failed attempt can be thrown away.
+   * Resolves to undefined if the request failed or was aborted through signal.
+   */
+  async getResponse(messages, {onSuggestion, onRetry, signal} = {}) {
+    if (!this.checkDependencies()) return
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const raw = onSuggestion && this.definition.capabilities.streaming
+            ? await this.readStream(messages, onSuggestion, signal)
+            : await this.create(messages, signal)
+          if (signal?.aborted) return
+          const responses = parseSuggestions(raw)
+          console.debug(responses)
+          return responses
+        } catch (err) {
+          if (!(err instanceof SuggestionParseError) || attempt >= PARSE_RETRIES) throw err
+          console.warn(`Unreadable response, retrying (${attempt + 1}/${PARSE_RETRIES})`, err.raw)
+          onRetry?.()
+        }
+      }
+    } catch (err) {
+      if (signal?.aborted) return
+      useAlertStore().showAlert('error', `Error (${err.type})`, err.message)
+    }
+  }
+
+  // The raw model output, for background work like summaries; errors are left to the caller
+  async complete(messages, {signal} = {}) {
+    return this.create(messages, signal)
+  }
+
+  // Providers with their tokenizer to hand count exactly
+  countTokens(text) {
+    return estimateTokens(text)
+  }
+
+  async readStream(messages, onSuggestion, signal) {
+    const parser = new SuggestionStreamParser()
+    let text = ''
+    for await (const chunk of this.stream(messages, signal)) {
+      text += chunk
+      parser.push(chunk).forEach(onSuggestion)
+    }
+    return text
+  }
+
+  // Resolves to the raw model output; getResponse turns it into a list of suggestions. Providers that
+  // can't stop part way should still resolve, the caller ignores the result once signal is aborted.
+  async create() {
+    throw "Abstract method create not implemented";
+  }
+
+  // An async iterable of the raw model output in pieces as it is generated, for providers with the
+  // streaming capability; they implement it as an async generator
+  stream() {
+    throw "Abstract method stream not implemented";
+  }
+
+  // Release anything held on to (engines, GPU memory) when the user switches provider
+  async dispose() {}
+
+  checkDependencies() {
+    const settingStore = useSettingsStore()
+    const dependencies = [
+      settingStore.backstory.length > 0,
+      settingStore.liabilityAgreement === true,
+      missingSettings(this.definition).length === 0
+    ]
+    if (!dependencies.every(Boolean)) {
+      settingStore.showSettingsOverlay = true
+      settingStore.showSettingsWarning = true
+      return false
+    }
+    return true
+  }
+}
+
+export function getTextGenerators() {
+  return [...registry.values()]
+}
+
+export function getTextGenerator(id) {
+  return registry.get(id) || registry.get(DEFAULT_TEXT_GENERATOR)
+}
+
+export function createTextGenerator(id) {
+  const definition = getTextGenerator(id)
+  return new definition.implementation(definition)
+}
+
+// Tokens of prompt to aim for with the given provider, as set by the user or else as registered
+export function promptBudgetFor(id) {
+  const definition = getTextGenerator(id)
+  return useSettingsStore().promptBudgets[definition.id] || definition.capabilities.promptBudget || DEFAULT_PROMPT_BUDGET
+}
+
+// Required settings the user has not filled in yet for the given provider
+export function missingSettings(definition) {
+  const settingStore = useSettingsStore()
+  return definition.requiredSettings.filter(setting => !setting.optional && !settingStore[setting.key])
+}
@@ -0,0 +1,138 @@
+import {CreateMLCEngine} from "@mlc-ai/web-llm";
+import {sleep} from "openai/core";
+import TextGenerator from "@/repositories/textGeneration/TextGenerator.js";
+import {useLoadingStore} from "@/stores/LoadingStore.js";
+
+export default class WebLLMImplementation extends TextGenerator {
+  constructor(definition) {
+    super(definition);
+    this.engine = null;
+    this.engineLoading  = false;
+    this.queue = Promise.resolve();  // settles when the request in progress is done
+  }
+
+  // The engine generates one reply at a time and interruptGenerate stops whatever it is working on, so
+  // requests take turns: aborting one then only ever interrupts that request, never another's. Resolves
+  // with a release function once it is this request's turn.
+  async takeTurn() {
+    const previous = this.queue;
+    let release;
+    this.queue = new Promise(resolve => release = resolve);
+    await previous;
+    return release;
+  }
+
+  async setup() {
+    const loadingStore = useLoadingStore()
+    const initProgressCallback = (initProgress) => {
+      console.log(initProgress);
+      if (initProgress.text.includes('Loading model from cache')) {
+        let progress = /\[(\d+\/\d+)]/.exec(initProgress.text)[1].split("/")
+        progress = (progress[0] /progress[1]) * 100
+        loadingStore.additionalLoadingBars['WebLLMBar'] = {
+          message: `loading model from cache - ${Math.round(progress)}%`,
+          value: progress
+        }
+      }
+      else {
+        loadingStore.additionalLoadingBars['WebLLMBar'] = {
+          message: `downloading offline model (only happens once) - ${Math.round(initProgress.progress * 100)}%`,
+          value: initProgress.progress * 100
+        }
+      }
+    }
+
+    try {
+      this.engine = await CreateMLCEngine(
+        this.options.model,
+        {initProgressCallback}, // engineConfig
+      );
+    } finally {
+      delete loadingStore.additionalLoadingBars['WebLLMBar']
+    }
+  }
+
+  async ready() {
+    while (this.engineLoading) {
+      await sleep(100);
+    }
+
+    if (this.engine === null) {
+      this.engineLoading = true;
+      try {
+        await this.setup();
+      } finally {
+        this.engineLoading = false;
+      }
+    }
+  }
+
+  async create(messages, signal) {
+    await this.ready()
+    const release = await this.takeTurn()
+    if (signal?.aborted) return release()
+    console.log(messages);
+
+    // the engine has no abort signal of its own; interrupting ends generation early instead
+    const interrupt = () => this.engine.interruptGenerate()
+    signal?.addEventListener('abort', interrupt)
+    let completion
+    try {
+      completion = await this.engine.chat.completions.create({
+        messages,
+      });
+    } finally {
+      signal?.removeEventListener('abort', interrupt)
+      release()
+    }
+
+    console.log(completion);
+    console.log('The result is', completion.choices[0].message.content);
+
+    return completion.choices[0].message.content
+  }
+
+  async *stream(messages, signal) {
+    await this.ready()
+    const release = await this.takeTurn()
+    if (signal?.aborted) return release()
+    console.log(messages);
+
+    const interrupt = () => this.engine.interruptGenerate()
+    signal?.addEventListener('abort', interrupt)
+    try {
+      const chunks = await this.engine.chat.completions.create({
+        messages,
+        stream: true,
+      });
+      for await (const chunk of chunks) {
+        yield chunk.choices[0]?.delta?.content || ''
+      }
+    } finally {
+      signal?.removeEventListener('abort', interrupt)
+      release()
+    }
+  }
+
+  async dispose() {
+    while (this.engineLoading) {
+      await sleep(100);
+    }
+    await this.engine?.unload()
+    this.engine = null
+  }
+}
+
+WebLLMImplementation.register('webllm-gemma-2-9b', {
+  label: 'Gemma 2 9B (offline, WebGPU)',
+  description: 'Runs entirely in this browser. The model is downloaded once and needs a capable graphics card.',
+  capabilities: {offline: true, jsonMode: false, streaming: true, requiresWebGPU: true, promptBudget: 3000},
+  options: {model: 'gemma-2-9b-it-q4f16_1-MLC'}
+})
+
+WebLLMImplementation.register('webllm-gemma-2-2b', {
+  label: 'Gemma 2 2B (offline, WebGPU)',
+  description: 'Runs entirely in this browser. Smaller and faster to download than the 9B model, but less capable.',
+  capabilities: {offline: true, jsonMode: false, streaming: true, requiresWebGPU: true, promptBudget: 3000},
+  options: {model: 'gemma-2-2b-it-q4f16_1-MLC'}
+})
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+
+import TextGenerator from '../TextGenerator.js'
+
+// Streams each of `attempts` in turn, one per request
+class StubGenerator extends TextGenerator {
+  constructor(attempts) {
+    super({ options: {}, capabilities: { streaming: true } })
+    this.attempts = attempts
+  }
+
+  checkDependencies() {
+    return true
+  }
+
+  async *stream() {
+    yield* this.attempts.shift()
+  }
+}
+
+describe('TextGenerator.getResponse', () => {
+  it('calls onRetry before asking again after an unreadable response', async () => {
+    const generator = new StubGenerator([[' ', ''], ['["Yes", ', '"No"]']])
+    const events = []
+    const result = await generator.getResponse([], {
+      onSuggestion: (suggestion) => events.push(suggestion),
+      onRetry: () => events.push('retry')
+    })
+    expect(result).toEqual(['Yes', 'No'])
+    expect(events).toEqual(['retry', 'Yes', 'No'])
+  })
+})
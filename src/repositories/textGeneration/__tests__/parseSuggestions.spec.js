@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest'
+
+import parseSuggestions, { SuggestionParseError, SuggestionStreamParser } from '../parseSuggestions.js'
+
+function parseError(raw) {
+  try {
+    parseSuggestions(raw)
+  } catch (err) {
+    return err
+  }
+  throw new Error('expected parseSuggestions to throw')
+}
+
+describe('parseSuggestions', () => {
+  it('reads the OpenAI json_object format', () => {
+    expect(parseSuggestions('{"suggestions": ["Yes please", "No thanks"]}')).toEqual([
+      'Yes please',
+      'No thanks'
+    ])
+  })
+
+  it('reads a bare array', () => {
+    expect(parseSuggestions('["tired", "work", "weekend"]')).toEqual(['tired', 'work', 'weekend'])
+  })
+
+  it('accepts already parsed values', () => {
+    expect(parseSuggestions({ suggestions: ['Yes'] })).toEqual(['Yes'])
+    expect(parseSuggestions(['Yes', 'No'])).toEqual(['Yes', 'No'])
+  })
+
+  it('unwraps a markdown code fence with chatter around it', () => {
+    const raw = `Sure! Here are some suggestions:
+
+\`\`\`json
+[
+  "No I'm okay thanks",
+  "Oh go on then, a beer would be great thanks"
+]
+\`\`\`
+
+Let me know if you need more.`
+    expect(parseSuggestions(raw)).toEqual([
+      "No I'm okay thanks",
+      'Oh go on then, a beer would be great thanks'
+    ])
+  })
+
+  it('repairs trailing commas like the examples in the system prompt', () => {
+    const raw = `[
+  "No not yet, would you recommend watching it?",
+  "Yes it was great, I'd really recommend watching it!",
+  "Yes. It wasn't that good, wouldn't really recommend watching it",
+]`
+    expect(parseSuggestions(raw)).toHaveLength(3)
+  })
+
+  it('repairs single quoted python style lists', () => {
+    expect(parseSuggestions("['I'm fine', 'not great', 'busy day']")).toEqual([
+      "I'm fine",
+      'not great',
+      'busy day'
+    ])
+  })
+
+  it('repairs unquoted keys and missing commas', () => {
+    expect(parseSuggestions('{suggestions: ["Yes" "No" "Maybe later"]}')).toEqual([
+      'Yes',
+      'No',
+      'Maybe later'
+    ])
+  })
+
+  it('takes the first list from an object with other keys', () => {
+    expect(parseSuggestions('{"sentences": ["Sounds good"], "note": "short"}')).toEqual([
+      'Sounds good'
+    ])
+  })
+
+  it('reads lists of objects', () => {
+    expect(parseSuggestions('[{"sentence": "Yes please"}, {"sentence": "No thanks"}]')).toEqual([
+      'Yes please',
+      'No thanks'
+    ])
+  })
+
+  it('keeps the complete items from output that was cut off', () => {
+    expect(parseSuggestions('{"suggestions": ["Yes please", "No thanks", "Maybe a glass of wa')).toEqual(
+      ['Yes please', 'No thanks']
+    )
+  })
+
+  it('reads numbered lists', () => {
+    const raw = `Here are some responses:
+1. "Not too bad, thanks"
+2) Pretty rubbish actually
+3. **Long day at work**`
+    expect(parseSuggestions(raw)).toEqual([
+      'Not too bad, thanks',
+      'Pretty rubbish actually',
+      'Long day at work'
+    ])
+  })
+
+  it('reads bulleted lists', () => {
+    expect(parseSuggestions('- tired\n* hungry\n• cold')).toEqual(['tired', 'hungry', 'cold'])
+  })
+
+  it('reads a comma separated line of words', () => {
+    expect(parseSuggestions('tired, day off, deadline')).toEqual(['tired', 'day off', 'deadline'])
+  })
+
+  it('drops empty, non-string and over-long items', () => {
+    const long = 'a'.repeat(300)
+    expect(parseSuggestions(`["Yes", "", "  ", null, 42, "${long}"]`)).toEqual(['Yes', '42'])
+  })
+
+  it('de-duplicates ignoring case and punctuation', () => {
+    expect(parseSuggestions('["Yes please!", "yes please", "No thanks"]')).toEqual([
+      'Yes please!',
+      'No thanks'
+    ])
+  })
+
+  it('caps the number of items', () => {
+    const raw = JSON.stringify(Array.from({ length: 50 }, (_, i) => `word${i}`))
+    expect(parseSuggestions(raw, { maxItems: 10 })).toHaveLength(10)
+  })
+
+  it('reports an empty response', () => {
+    const err = parseError('   ')
+    expect(err).toBeInstanceOf(SuggestionParseError)
+    expect(err.reason).toBe('empty')
+  })
+
+  it('reports prose it cannot read as suggestions', () => {
+    const err = parseError("I'm sorry, I can't help with that request.")
+    expect(err).toBeInstanceOf(SuggestionParseError)
+    expect(err.reason).toBe('unrecognised')
+    expect(err.raw).toContain("can't help")
+  })
+
+  it('reports a list with nothing usable in it', () => {
+    const err = parseError('{"suggestions": ["", "   "]}')
+    expect(err).toBeInstanceOf(SuggestionParseError)
+    expect(err.reason).toBe('no-valid-items')
+  })
+})
+
+describe('SuggestionStreamParser', () => {
+  function feed(chunks) {
+    const parser = new SuggestionStreamParser()
+    return chunks.map((chunk) => parser.push(chunk))
+  }
+
+  it('emits each suggestion once its closing quote arrives', () => {
+    expect(feed(['["Yes pl', 'ease", "No', ' thanks"', ']'])).toEqual([[], ['Yes please'], ['No thanks'], []])
+  })
+
+  it('finds the array inside a wrapping object', () => {
+    expect(feed(['{"suggestions": ["Sounds', ' good", "Not today"]}']).flat()).toEqual([
+      'Sounds good',
+      'Not today'
+    ])
+  })
+
+  it('decodes escapes split across chunks', () => {
+    expect(feed(['["She said \\', '"hi\\""]']).flat()).toEqual(['She said "hi"'])
+  })
+
+  it('ignores strings nested deeper than the suggestions array', () => {
+    expect(feed(['[{"sentence": "Yes"}, "No"]']).flat()).toEqual(['No'])
+  })
+
+  it('stops at the end of the array', () => {
+    expect(feed(['["Yes"] and also "this"']).flat()).toEqual(['Yes'])
+  })
+
+  it('skips duplicates and empty strings', () => {
+    expect(feed(['["Yes", "", "yes", "No"]']).flat()).toEqual(['Yes', 'No'])
+  })
+})
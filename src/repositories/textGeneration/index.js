@@ -0,0 +1,14 @@
+// Importing a provider registers it; the order here is the order they appear in the settings
+import "@/repositories/textGeneration/OpenAIImplementation.js";
+import "@/repositories/textGeneration/OpenAICompatibleImplementation.js";
+import "@/repositories/textGeneration/WebLLMImplementation.js";
+import "@/repositories/textGeneration/HFTransformersImplementation.js";
+
+export {
+  DEFAULT_TEXT_GENERATOR,
+  createTextGenerator,
+  getTextGenerator,
+  getTextGenerators,
+  missingSettings,
+  promptBudgetFor
+} from "@/repositories/textGeneration/TextGenerator.js";
@@ -0,0 +1,199 @@
+// Turns whatever a model sent back into a clean list of suggestions. Small local models rarely return
+// exactly what was asked for, so this accepts JSON objects, bare arrays, markdown code fences,
+// numbered or bulleted lists and output that was cut off part way through.
+
+export const MAX_SUGGESTION_LENGTH = 200
+export const MAX_SUGGESTIONS = 30
+
+export class SuggestionParseError extends Error {
+  constructor(message, raw, reason) {
+    super(message)
+    this.name = 'SuggestionParseError'
+    this.type = 'parse'
+    this.reason = reason  // 'empty', 'unrecognised' or 'no-valid-items'
+    this.raw = raw
+  }
+}
+
+/**
+ * @param {string|object|Array} raw model output
+ * @param {{maxLength?: number, maxItems?: number}} options
+ * @returns {string[]} non-empty, de-duplicated suggestions
+ * @throws {SuggestionParseError} when nothing usable can be recovered
+ */
+export default function parseSuggestions(raw, {maxLength = MAX_SUGGESTION_LENGTH, maxItems = MAX_SUGGESTIONS} = {}) {
+  if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+    throw new SuggestionParseError('The model returned an empty response', raw, 'empty')
+  }
+  const items = typeof raw === 'string' ? extractItems(raw) : fromValue(raw)
+  if (items === null) {
+    throw new SuggestionParseError('Could not find any suggestions in the model response', raw, 'unrecognised')
+  }
+  const suggestions = cleanItems(items, maxLength, new Set()).slice(0, maxItems)
+  if (suggestions.length === 0) {
+    throw new SuggestionParseError('The model response contained no usable suggestions', raw, 'no-valid-items')
+  }
+  return suggestions
+}
+
+function extractItems(text) {
+  const body = stripCodeFence(text.trim())
+  return fromJSON(body) ?? fromJSON(repairJSON(body)) ?? fromPartialArray(body) ?? fromList(body)
+}
+
+function stripCodeFence(text) {
+  const fenced = /```[a-zA-Z]*\s*\n?([\s\S]*?)(```|$)/.exec(text)
+  return fenced ? fenced[1].trim() : text
+}
+
+function fromJSON(text) {
+  // parse from the first bracket or brace so any chatter before the JSON is ignored
+  const start = text.search(/[[{]/)
+  if (start === -1) return null
+  const end = Math.max(text.lastIndexOf(']'), text.lastIndexOf('}'))
+  try {
+    return fromValue(JSON.parse(text.slice(start, end + 1)))
+  } catch {
+    return null
+  }
+}
+
+function fromValue(value) {
+  if (Array.isArray(value)) return value
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.suggestions)) return value.suggestions
+    // e.g. {"sentences": [...]} or {"words": [...]}
+    const list = Object.values(value).find(Array.isArray)
+    if (list) return list
+    // e.g. {"1": "Yes please", "2": "No thanks"}
+    const values = Object.values(value)
+    if (values.length && values.every(v => typeof v === 'string')) return values
+  }
+  return null
+}
+
+// Common near-misses: trailing commas, single quotes, unquoted keys, missing commas between strings
+function repairJSON(text) {
+  return text
+    .replace(/,\s*([\]}])/g, '$1')
+    .replace(/(?<=[[,{]\s*)'(.*?)'(?=\s*[,\]:}])/g, (_, inner) => JSON.stringify(inner.replace(/\\'/g, "'")))
+    .replace(/(?<=\{\s*|,\s*\n\s*)([A-Za-z_][\w ]*?)\s*:/g, '"$1":')
+    .replace(/"\s*\n\s*"/g, '",\n"')
+    .replace(/"\s+"/g, '", "')
+}
+
+// Output cut off mid-array: keep every string that was closed
+function fromPartialArray(text) {
+  const start = text.indexOf('[')
+  if (start === -1) return null
+  const items = []
+  const stringPattern = /"((?:[^"\\]|\\.)*)"/g
+  const body = text.slice(start + 1)
+  let match
+  while ((match = stringPattern.exec(body)) !== null) {
+    // skip object keys such as "suggestions":
+    if (/^\s*:/.test(body.slice(stringPattern.lastIndex))) continue
+    try {
+      items.push(JSON.parse(`"${match[1]}"`))
+    } catch {
+      items.push(match[1])
+    }
+  }
+  return items.length ? items : null
+}
+
+const LIST_ITEM = /^\s*(?:[-*•+]|\(?\d{1,2}[.):]|[a-z][.)])\s+(.+)$/
+
+function fromList(text) {
+  // drop lead-ins such as "Here are some suggestions:"
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line && !line.endsWith(':'))
+  const listed = lines.map(line => LIST_ITEM.exec(line)?.[1]).filter(Boolean)
+  if (listed.length) return listed
+  // a handful of short lines with no markers is still most likely a list
+  if (lines.length > 1 && lines.every(line => line.length <= MAX_SUGGESTION_LENGTH)) return lines
+  // "tired, work, weekend" - a comma separated list of words or short phrases
+  const parts = lines.length === 1 ? lines[0].split(',') : []
+  if (parts.length > 1 && parts.every(part => part.trim().split(/\s+/).length <= 3)) return parts
+  return null
+}
+
+function cleanItems(items, maxLength, seen) {
+  const cleaned = []
+  for (let item of items) {
+    // e.g. [{"sentence": "Yes please"}]
+    if (item && typeof item === 'object') item = Object.values(item).find(value => typeof value === 'string')
+    if (typeof item !== 'string' && typeof item !== 'number') continue
+    const suggestion = String(item)
+      .trim()
+      .replace(/,$/, '')
+      .replace(/^["'“‘`](.*)["'”’`]$/, '$1')
+      .replace(/\*\*/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+    if (!suggestion || suggestion.length > maxLength) continue
+    const key = suggestion.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '')
+    if (!key || seen.has(key)) continue
+    seen.add(key)
+    cleaned.push(suggestion)
+  }
+  return cleaned
+}
+
+/**
+ * Pulls suggestions out of a JSON array while it is still being generated, so each one can be shown
+ * as soon as its closing quote arrives. Works for bare arrays and for arrays wrapped in an object such
+ * as {"suggestions": [...]}; anything else is left for parseSuggestions once the response is complete.
+ */
+export class SuggestionStreamParser {
+  constructor({maxLength = MAX_SUGGESTION_LENGTH, maxItems = MAX_SUGGESTIONS} = {}) {
+    this.maxLength = maxLength
+    this.maxItems = maxItems
+    this.depth = 0  // 1 while directly inside the suggestions array
+    this.inString = false
+    this.escaped = false
+    this.buffer = ''
+    this.done = false
+    this.seen = new Set()
+  }
+
+  // Feed the next chunk of text; returns the suggestions completed by it
+  push(chunk) {
+    const completed = []
+    for (const char of chunk) {
+      if (this.done) break
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false
+          this.buffer += char
+        } else if (char === '\\') {
+          this.escaped = true
+          this.buffer += char
+        } else if (char === '"') {
+          this.inString = false
+          if (this.depth === 1) completed.push(decodeString(this.buffer))
+        } else {
+          this.buffer += char
+        }
+      } else if (char === '"') {
+        this.inString = true
+        this.buffer = ''
+      } else if (char === '[' || (char === '{' && this.depth > 0)) {
+        this.depth++
+      } else if ((char === ']' || char === '}') && this.depth > 0) {
+        this.depth--
+        this.done = this.depth === 0
+      }
+    }
+    const suggestions = cleanItems(completed, this.maxLength, this.seen).slice(0, this.maxItems)
+    this.maxItems -= suggestions.length
+    return suggestions
+  }
+}
+
+function decodeString(contents) {
+  try {
+    return JSON.parse(`"${contents}"`)
+  } catch {
+    return contents
+  }
+}
@@ -0,0 +1,108 @@
+import TextToSpeechEngine from "@/repositories/textToSpeech/TextToSpeechEngine.js";
+import { WorkerClient } from "@/workers/workerProtocol.js";
+import { getAudioContext, trackDownloadProgress } from "@/utils/audio.js";
+import { getClonedVoice } from "@/repositories/VoiceCloneRepository.js";
+
+const CACHE_SIZE = 20;  // synthesised utterances kept for replay
+
+// The model is the same whichever speaker embedding is used, so every instance shares one worker
+let worker = null;
+let modelsLoaded = null;
+
+function getWorker() {
+  if (!worker) {
+    worker = new WorkerClient(new Worker(new URL('../../workers/textToSpeech.worker.js', import.meta.url), { type: 'module' }));
+  }
+  return worker;
+}
+
+export default class SpeechT5Engine extends TextToSpeechEngine {
+  constructor(definition) {
+    super(definition);
+    this.speakerEmbeddings = null;
+    this.audioCache = new Map();  // text -> AudioBuffer
+    this.currentSource = null;
+  }
+
+  async load(onProgress) {
+    if (!modelsLoaded) {
+      modelsLoaded = getWorker().request('load', {}, { onProgress: trackDownloadProgress(onProgress) });
+      modelsLoaded.catch(() => modelsLoaded = null);  // try again next time
+    }
+    const [speakerEmbeddings] = await Promise.all([this.loadSpeakerEmbeddings(), modelsLoaded]);
+    this.speakerEmbeddings = speakerEmbeddings;
+  }
+
+  async loadSpeakerEmbeddings() {
+    if (this.options.clonedVoice) {
+      const voice = await getClonedVoice();
+      if (!voice) throw new Error('No voice has been cloned for this profile yet');
+      return voice.embedding;
+    }
+    const response = await fetch(this.options.speakerEmbeddingURL);
+    if (!response.ok) throw new Error(`Could not load the speaker embedding (${response.status})`);
+    return new Float32Array(await response.arrayBuffer());
+  }
+
+  async prepare(text) {
+    if (this.audioCache.has(text)) return this.audioCache.get(text);
+    const { audio, sampleRate } = await getWorker().request('synthesise', { text, speakerEmbeddings: this.speakerEmbeddings });
+
+    const audioBuffer = getAudioContext().createBuffer(1, audio.length, sampleRate);
+    audioBuffer.copyToChannel(audio, 0, 0);
+    this.audioCache.set(text, audioBuffer);
+    if (this.audioCache.size > CACHE_SIZE) this.audioCache.delete(this.audioCache.keys().next().value);
+    return audioBuffer;
+  }
+
+  // The audio is resampled for rate and pitch, so each also changes the other
+  play(audioBuffer, { rate = 1, pitch = 1, volume = 1 } = {}) {
+    return new Promise((resolve) => {
+      const context = getAudioContext();
+      const source = context.createBufferSource();
+      const gain = context.createGain();
+      source.buffer = audioBuffer;
+      source.playbackRate.value = rate;
+      source.detune.value = 1200 * Math.log2(pitch);
+      gain.gain.value = volume;
+      source.connect(gain).connect(context.destination);
+      source.onended = () => {
+        if (this.currentSource === source) this.currentSource = null;
+        resolve();
+      };
+      this.currentSource = source;
+      source.start();
+    });
+  }
+
+  stop() {
+    this.currentSource?.stop();
+  }
+
+  dispose() {
+    this.stop();
+    this.audioCache.clear();
+  }
+}
+
+// The active profile's voice, made from their own recordings under Voice Cloning in the settings
+SpeechT5Engine.register('speecht5-cloned', {
+  label: 'SpeechT5 (your cloned voice, experimental)',
+  description: 'Neural voice generated on this device from the clips uploaded under Voice Cloning. Experimental: it may not sound much like the speaker yet',
+  capabilities: { offline: true, requiresDownload: true, independentPitch: false, languages: ['en'] },
+  options: { clonedVoice: true },
+});
+
+SpeechT5Engine.register('speecht5-single', {
+  label: 'SpeechT5 (custom voice)',
+  description: 'Neural voice generated on this device from a single recording',
+  capabilities: { offline: true, requiresDownload: true, independentPitch: false, languages: ['en'] },
+  options: { speakerEmbeddingURL: '/custom_speaker_embedding_single.bin' },
+});
+
+SpeechT5Engine.register('speecht5-mean', {
+  label: 'SpeechT5 (averaged voice)',
+  description: 'Neural voice generated on this device, averaged over several recordings',
+  capabilities: { offline: true, requiresDownload: true, independentPitch: false, languages: ['en'] },
+  options: { speakerEmbeddingURL: '/custom_speaker_embeddings_mean.bin' },
+});
@@ -0,0 +1,70 @@
+export const DEFAULT_TTS_ENGINE = 'speecht5-single'
+// Needs no download, so it is used whenever the chosen engine can't be loaded
+export const FALLBACK_TTS_ENGINE = 'web-speech'
+
+const registry = new Map()
+
+/**
+ * A voice for the user. Speaking is split in two so the queue in TextToSpeechRepository can drop an
+ * utterance that was stopped while it was still being prepared: prepare() does the slow work (e.g. running a
+ * model) and play() says the prepared result.
+ */
+export default class TextToSpeechEngine {
+  /**
+   * Make an engine selectable in the settings. Called by each subclass when its module loads; the same
+   * subclass may register several times with different options.
+   *
+   * capabilities: {offline, requiresDownload, independentPitch, voices, languages} where languages lists the
+   * language codes the engine can speak, or is left out if it depends on the voice
+   */
+  static register(id, {label, description = '', capabilities = {}, options = {}}) {
+    registry.set(id, {id, label, description, capabilities, options, implementation: this})
+  }
+
+  constructor(definition) {
+    this.definition = definition
+    this.options = definition.options
+  }
+
+  /**
+   * Download or warm up whatever the engine needs. Engines that download take load(onProgress), where
+   * onProgress receives 0-100.
+   */
+  async load() {}
+
+  // Resolves to something play() can say
+  async prepare(text) {
+    return text
+  }
+
+  /**
+   * play(prepared, voice) resolves once the utterance from prepare() has finished, or was stopped.
+   * voice: {rate, pitch, volume, webSpeechVoice} from the settings, plus the user's language code
+   */
+  async play() {
+    throw "Abstract method play not implemented";
+  }
+
+  // Cut off whatever is playing
+  stop() {}
+
+  // Release anything held on to when the user switches engine
+  dispose() {}
+}
+
+export function getTextToSpeechEngines() {
+  return [...registry.values()]
+}
+
+export function getTextToSpeechEngine(id) {
+  return registry.get(id) || registry.get(DEFAULT_TTS_ENGINE)
+}
+
+export function speaksLanguage(definition, code) {
+  return !definition.capabilities.languages || definition.capabilities.languages.includes(code)
+}
+
+export function createTextToSpeechEngine(id) {
+  const definition = getTextToSpeechEngine(id)
+  return new definition.implementation(definition)
+}
@@ -0,0 +1,62 @@
+import TextToSpeechEngine from "@/repositories/textToSpeech/TextToSpeechEngine.js";
+
+const VOICES_TIMEOUT = 2000;  // ms to wait for the browser to list its voices
+
+// Some browsers list their voices asynchronously, after the first call to getVoices()
+export function getWebSpeechVoices() {
+  if (!('speechSynthesis' in window)) return Promise.resolve([]);
+  const voices = speechSynthesis.getVoices();
+  if (voices.length > 0) return Promise.resolve(voices);
+  return new Promise((resolve) => {
+    const done = () => {
+      speechSynthesis.removeEventListener('voiceschanged', done);
+      resolve(speechSynthesis.getVoices());
+    };
+    speechSynthesis.addEventListener('voiceschanged', done);
+    setTimeout(done, VOICES_TIMEOUT);
+  });
+}
+
+// The browser's own speechSynthesis voices; nothing to download, quality depends on the system
+export default class WebSpeechEngine extends TextToSpeechEngine {
+  async load() {
+    if (!('speechSynthesis' in window)) throw new Error('This browser has no built in speech synthesis');
+    this.voices = await getWebSpeechVoices();
+  }
+
+  // The chosen voice if it speaks the language, otherwise the first one that does
+  voiceFor(webSpeechVoice, language) {
+    const speaks = (voice) => !language || voice.lang.toLowerCase().startsWith(language);
+    const chosen = this.voices?.find(voice => voice.voiceURI === webSpeechVoice);
+    if (chosen && speaks(chosen)) return chosen;
+    return this.voices?.find(voice => speaks(voice) && voice.default) || this.voices?.find(speaks) || null;
+  }
+
+  play(text, { rate = 1, pitch = 1, volume = 1, webSpeechVoice = '', language } = {}) {
+    return new Promise((resolve) => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.rate = rate;
+      utterance.pitch = pitch;
+      utterance.volume = volume;
+      if (language) utterance.lang = language;
+      utterance.voice = this.voiceFor(webSpeechVoice, language);
+      utterance.onend = resolve;
+      utterance.onerror = resolve;  // including being cancelled by stop()
+      speechSynthesis.speak(utterance);
+    });
+  }
+
+  stop() {
+    speechSynthesis.cancel();
+  }
+
+  dispose() {
+    this.stop();
+  }
+}
+
+WebSpeechEngine.register('web-speech', {
+  label: 'Browser voice',
+  description: "Uses the voices built into this browser or operating system, no download needed",
+  capabilities: { offline: false, requiresDownload: false, independentPitch: true, voices: true },
+});
@@ -0,0 +1,13 @@
+// Importing an engine registers it; the order here is the order they appear in the settings
+import "@/repositories/textToSpeech/SpeechT5Engine.js";
+import "@/repositories/textToSpeech/WebSpeechEngine.js";
+
+export {
+  DEFAULT_TTS_ENGINE,
+  FALLBACK_TTS_ENGINE,
+  createTextToSpeechEngine,
+  getTextToSpeechEngine,
+  getTextToSpeechEngines,
+  speaksLanguage
+} from "@/repositories/textToSpeech/TextToSpeechEngine.js";
+export { getWebSpeechVoices } from "@/repositories/textToSpeech/WebSpeechEngine.js";
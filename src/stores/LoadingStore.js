@@ -1,14 +1,27 @@
-import {ref} from 'vue'
+import {computed, ref} from 'vue'
 import {defineStore} from 'pinia'
 
 export const useLoadingStore = defineStore('loading', () => {
-  const newWordsLoading = ref(0)
-  const newSentenceLoading = ref(0)
+  // kind ('words' or 'sentences') -> the request being waited on. Keyed by request rather than counted so
+  // a cancelled or superseded request can't leave the bar showing (or hide it for a newer one).
+  const pendingRequests = ref({})
+  const newWordsLoading = computed(() => 'words' in pendingRequests.value)
+  const newSentenceLoading = computed(() => 'sentences' in pendingRequests.value)
   const additionalLoadingBars = {} // e.g {id: '', displayName: '', value: 0.9}
 
+  function startLoading(kind, request) {
+    pendingRequests.value[kind] = request
+  }
+
+  function stopLoading(kind, request) {
+    if (pendingRequests.value[kind] === request) delete pendingRequests.value[kind]
+  }
+
   return {
     newWordsLoading,
     newSentenceLoading,
     additionalLoadingBars,
+    startLoading,
+    stopLoading,
   }
 })
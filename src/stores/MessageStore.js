@@ -1,12 +1,21 @@
-import {ref} from 'vue'
+import {computed, ref, watch} from 'vue'
 import {defineStore} from 'pinia'
-import OpenAI from "openai";
 import {useSettingsStore} from "@/stores/SettingsStore.js";
-import {useAlertStore} from "@/stores/AlertStore.js";
 import {useLoadingStore} from "@/stores/LoadingStore.js";
-import {pipeline} from '@huggingface/transformers';
-import {CreateMLCEngine} from "@mlc-ai/web-llm";
-import {sleep} from "openai/core";
+import {usePromptStore} from "@/stores/PromptStore.js";
+import {usePredictionStore} from "@/stores/PredictionStore.js";
+import {useUsageStore} from "@/stores/UsageStore.js";
+import {useAlertStore} from "@/stores/AlertStore.js";
+import {createTextGenerator, promptBudgetFor} from "@/repositories/textGeneration/index.js";
+import speak, {stopSpeaking} from "@/repositories/TextToSpeechRepository.js";
+import {embedSentences, loadSentenceEmbedder, sentenceEmbedderReady} from "@/repositories/SentenceEmbeddingRepository.js";
+import {getLanguage, languageInstruction} from "@/utils/languages.js";
+import {renderTemplate, suggestionKinds} from "@/utils/promptTemplates.js";
+import {parseSummary, recentTurnsStart, trimEditHistory} from "@/utils/promptBudget.js";
+import {createSuggestionPicker} from "@/utils/suggestionRanking.js";
+import {createId} from "@/utils/ids.js";
+
+const LOCAL_WORD_COUNT = 15  // words the offline predictor offers while the AI model is working
 
 export const useMessageStore = defineStore('messages', () => {
   const interlocutorPhrase = ref('')
@@ -14,539 +23,422 @@ export const useMessageStore = defineStore('messages', () => {
   const messageTab = ref('build')
   const messageHistory = ref([])
   const activeEditHistory = ref([])
-  const wordSuggestions = ref([
-    'hi', 'how', 'you', 'weather', 'nice', 'hungry', 'dinner', 'today', 'i',
-    'work', 'rugby', 'jazz', 'cold', 'warm', 'thirsty', 'bored', 'good'])
+  const settingStore = useSettingsStore()
+  const promptStore = usePromptStore()
+  const predictionStore = usePredictionStore()
+  const usageStore = useUsageStore()
+  // what the message builder starts with: likely first words, from what the user tends to say
+  const initialWordSuggestions = () => {
+    const predicted = predictionStore.predictWords([], {limit: LOCAL_WORD_COUNT})
+    return predicted.length ? predicted : [...getLanguage(settingStore.language).words]
+  }
+  const initialSentenceSuggestions = () => [...getLanguage(settingStore.language).sentences]
+  const wordSuggestions = ref(initialWordSuggestions())
   const previousWordSuggestions = ref([])
-  const sentenceSuggestions = ref([
-    "Hi, how are you doing?", "What's on for your day?",
-    "I'm a little cold", "Get up to anything interesting today?"])
+  const sentenceSuggestions = ref(initialSentenceSuggestions())
+  // what MessageOptions shows; the picker keeps to the count, but the setting can change under it
+  const shownSentenceSuggestions = computed(() => sentenceSuggestions.value.slice(0, settingStore.suggestionCount))
   const editInstruction = ref(null)
-  const settingStore = useSettingsStore()
-  const alertStore = useAlertStore()
-  const loadingStore = useLoadingStore()
-
-
-  class TextGenerator {
-    constructor(additionalDependencies = []) {
-      this.additionalDependencies = additionalDependencies;
-    }
-
-    async getResponse(messages, wordLoading = false, sentenceLoading = false) {
-      if (!this.checkDependencies(this.additionalDependencies)) return
-      if (wordLoading) loadingStore.newWordsLoading++
-      if (sentenceLoading) loadingStore.newSentenceLoading++
-      try {
-        const responses = await this.create(messages)
-        console.debug(responses)
-        return responses
-      } catch (err) {
-        alertStore.showAlert('error', `Error (${err.type})`, err.message)
-      } finally {
-        if (wordLoading) loadingStore.newWordsLoading--
-        if (sentenceLoading) loadingStore.newSentenceLoading--
-      }
-    }
-
-    async create() {
-      throw "Abstract method create not implemented";
-    }
-
-    checkDependencies(additionalDependencies = []) {
-      let dependencies = [settingStore.backstory.length > 0, settingStore.liabilityAgreement === true]
-      dependencies = dependencies.concat(additionalDependencies)
-      if (!dependencies.every(Boolean)) {
-        settingStore.showSettingsOverlay = true
-        settingStore.showSettingsWarning = true
-        return false
-      }
-      return true
-    }
-
+  // The last message the user sent, with the suggestions from before it, so an accidental send can be undone
+  const lastSent = ref(null)  // {message, wordSuggestions, sentenceSuggestions, activeEditHistory}
+
+
+  let chatCompletionModel = createTextGenerator(settingStore.selectedLLMModel)
+  let modelSwap = Promise.resolve()  // settles once the provider last picked is in place
+
+  // Swap provider in place. The old one frees its engine first, so two local models are never loaded at
+  // once; requests made in the meantime wait for the new one (see textGenerator).
+  watch(() => settingStore.selectedLLMModel, (selectedLLMModel) => {
+    cancelSummary()
+    cancelGeneration()
+    modelSwap = modelSwap
+      .then(() => chatCompletionModel.dispose())
+      .catch(error => console.error('Error unloading the previous AI model:', error))
+      .then(() => {
+        chatCompletionModel = createTextGenerator(selectedLLMModel)
+      })
+  })
+
+  async function textGenerator() {
+    await modelSwap
+    return chatCompletionModel
   }
 
-  class OpenAIImplementation extends TextGenerator {
-    constructor() {
-      super([settingStore.openAIAPIKeyIsValid]);
-      this.model = "gpt-4o" // "gpt-4-turbo"
-      this.client = new OpenAI({
-        apiKey: settingStore.openAIAPIKey, dangerouslyAllowBrowser: true
-      });
-    }
-
-    async create(messages) {
-      const completion = await this.client.chat.completions.create({
-        messages,
-        model: this.model,
-        temperature: 0.5,
-        top_p: 0.5,
-        response_format: {"type": "json_object"}
-      });
-      return JSON.parse(completion.choices[0].message.content)['suggestions']
-    }
+  // The sentence embedding model is only downloaded once the user has turned it on. A failed download is
+  // tried again when the setting is next turned on; suggestions go without it in the meantime.
+  watch(() => settingStore.suggestionEmbeddings, (enabled) => {
+    if (!enabled) return
+    loadSentenceEmbedder().catch(error => {
+      console.error('Error loading the sentence embedding model:', error)
+      useAlertStore().showAlert('error', 'Could not load the suggestion comparison model',
+        'Near-duplicate suggestions will be spotted by shared words instead. Check the connection and turn the setting on again.')
+      settingStore.suggestionEmbeddings = false
+    })
+  }, {immediate: true})
+
+  // Swap the starting suggestions over if the language or the profile (and so what the predictor has learnt)
+  // changes before the conversation has begun
+  watch([() => settingStore.language, () => predictionStore.learnedMessages], () => {
+    if (messageHistory.value.length > 0) return
+    wordSuggestions.value = initialWordSuggestions()
+    sentenceSuggestions.value = initialSentenceSuggestions()
+  })
+
+  const pendingRequests = {}  // kind -> {controller, key, promise} for the generation in progress
+
+  // Fill `target` with suggestions of the given kind, replacing the old ones as soon as the first new
+  // suggestion streams in. createPicker, if given, makes a picker (see createSuggestionPicker) that chooses
+  // which to show. A newer request of the same kind cancels this one, and asking again for exactly the same
+  // thing while it is in progress just waits for it. Resolves to the list shown, or undefined if the request
+  // failed, was cancelled, superseded or a duplicate.
+  function streamSuggestions(target, kind, messages, createPicker = null) {
+    const key = JSON.stringify([messages.at(-1), messageHistory.value.length])
+    const pending = pendingRequests[kind]
+    if (pending?.key === key) return pending.promise.then(() => undefined)
+    cancelRequest(kind)
+    // suggestions come first; the summary starts again once they are done
+    cancelSummary()
+    const request = {controller: new AbortController(), key}
+    pendingRequests[kind] = request
+    request.promise = runRequest(target, kind, messages, request, createPicker)
+    return request.promise
   }
 
-  class HFTransformersImplementation extends TextGenerator {
-    constructor() {
-      super();
-      this.engine = null;
-      this.engineLoading  = false;
-    }
-
-    async setup() {
-      const initProgressCallback = (initProgress) => {
-        console.log(initProgress);
-      }
-      // Allocate pipeline
-      // this.engine = await pipeline('text-generation', 'HuggingFaceTB/SmolLM2-1.7B-Instruct');
-      this.engine = await pipeline("text-generation", "onnx-community/Llama-3.2-1B-Instruct", {
-        device: "webgpu",
-        dtype: "q8", // auto, fp32, fp16, q8, int8, uint8, q4, bnb4, q4f16
-        progress_callback: initProgressCallback,
-      });
-    }
-
-    async create(messages) {
-      try {
-        while (this.engineLoading) {
-          await sleep(100)
-        }
-        if (this.engine === null) {
-          this.engineLoading = true;
-          try {
-            console.debug("Setting up enginez")
-            await this.setup()
-          }
-          finally {
-            this.engineLoading = false;
+  async function runRequest(target, kind, messages, request, createPicker) {
+    // results from a request that has been replaced are dropped, even if its provider couldn't be stopped
+    const isCurrent = () => pendingRequests[kind] === request
+    const loadingStore = useLoadingStore()
+    loadingStore.startLoading(kind, request)
+    const previous = target.value
+    let streamed = null
+    let picker = createPicker?.()
+    try {
+      const generator = await textGenerator()
+      if (!isCurrent()) return
+      const suggestions = await generator.getResponse(messages, {
+        signal: request.controller.signal,
+        onSuggestion: (suggestion) => {
+          if (!isCurrent()) return
+          if (!picker) {
+            streamed = [...(streamed || []), suggestion]
+            target.value = streamed
+            return
           }
+          const current = picker
+          current.add(suggestion).then(shown => {
+            if (isCurrent() && current === picker && shown.length) target.value = shown
+          })
+        },
+        // the failed attempt's suggestions go, so the next one starts afresh (or the old list stays if it fails)
+        onRetry: () => {
+          streamed = null
+          picker = createPicker?.()
+          if (isCurrent()) target.value = previous
         }
-        console.log(messages)
-        const output = await this.engine(messages);
-        console.log(output);
-        return JSON.parse(output[0].generated_text.at(-1).content.content.replace(/(^[^[]+|[^\]]+$)/g, ''))
-
-      } catch (err) {
-        console.log(err)
-      }
+      })
+      if (!suggestions || !isCurrent()) return
+      const shown = picker ? await picker.finish(suggestions) : suggestions
+      if (!isCurrent()) return
+      target.value = shown
+      return shown
+    } finally {
+      if (isCurrent()) delete pendingRequests[kind]
+      loadingStore.stopLoading(kind, request)
     }
   }
 
-  class WebLLMImplementation extends TextGenerator {
-    constructor() {
-      super();
-      this.engine = null;
-      this.engineLoading  = false;
-    }
-
-    async setup() {
-      const initProgressCallback = (initProgress) => {
-        console.log(initProgress);
-        if (initProgress.text.includes('Loading model from cache')) {
-          let progress = /\[(\d+\/\d+)]/.exec(initProgress.text)[1].split("/")
-          progress = (progress[0] /progress[1]) * 100
-          loadingStore.additionalLoadingBars['WebLLMBar'] = {
-            message: `loading model from cache - ${Math.round(progress)}%`,
-            value: progress
-          }
-        }
-        else {
-          loadingStore.additionalLoadingBars['WebLLMBar'] = {
-            message: `downloading offline model (only happens once) - ${Math.round(initProgress.progress * 100)}%`,
-            value: initProgress.progress * 100
-          }
-        }
-      }
-      const selectedModel = settingStore.selectedLLMModel==="9b Model"
-        ? "gemma-2-9b-it-q4f16_1-MLC"
-        : "gemma-2-2b-it-q4f16_1-MLC";
-      //const selectedModel = "Llama-3.2-1B-Instruct-q4f16_1-MLC";
-
-      this.engine = await CreateMLCEngine(
-        selectedModel,
-        {initProgressCallback}, // engineConfig
-      );
-      delete loadingStore.additionalLoadingBars['WebLLMBar']
-    }
+  function cancelRequest(kind) {
+    const request = pendingRequests[kind]
+    if (!request) return
+    delete pendingRequests[kind]
+    request.controller.abort()
+    useLoadingStore().stopLoading(kind, request)
+  }
 
-    async create(messages, retryCount = 3) {
-      try {
-        while (this.engineLoading) {
-          await sleep(100);
-        }
-    
-        
-        if (this.engine === null) {
-          this.engineLoading = true;
-          try {
-            await this.setup();
-          } finally {
-            this.engineLoading = false;
-          }
-        }
-    
-        console.log(messages);
-    
-        
-        const completion = await this.engine.chat.completions.create({
-          messages,
-        });
-    
-        console.log(completion);
-        console.log('The result is', completion.choices[0].message.content);
-    
-        
-        return JSON.parse(
-          completion.choices[0].message.content.trim()
-            .replace(/(^[^[]+|[^\]]+$)/g, '')     
-            .replace(/,\s*]$/, ']')               
-            .replace(/"\s+"/g, '", "')            
-            .replace(/(?<=\{)\s*([^"]+?)\s*:/g, '"$1":')
-        );
-    
-      } catch (err) {
-        console.log(`Error, retrying count ${3-retryCount}`, err);
-        
-        if (retryCount > 0) { 
-          await sleep(1000); 
-          return this.create(messages, retryCount - 1); 
-        } else {
-          throw new Error("failed to generate response");
-        }
-      }
-    }
+  // Stop generating, keeping whatever has streamed in so far
+  function cancelGeneration() {
+    Object.keys(pendingRequests).forEach(cancelRequest)
   }
 
-  console.log(settingStore.selectedLLMModel);
-  const chatCompletionModel = settingStore.selectedLLMModel === "OpenAI"
-    ? new OpenAIImplementation()
-    : new WebLLMImplementation();
-  //const chatCompletionModel = new WebLLMImplementation() // OpenAIImplementation() WebLLMImplementation() HFTransformersImplementation()
-
-  // Respond
-  async function generateSentences() {
-    const command = `Given the Current Conversation History, generate a list of 3 to 5 short generic sentences the 
-      assistant may want to say. You must respond only with a valid JSON list of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getSentenceSystemMessage()},
-      {role: "user", content: command}
-    ]
-    sentenceSuggestions.value = await chatCompletionModel.getResponse(messages, false, true) || sentenceSuggestions.value
-    activeEditHistory.value = activeEditHistory.value.concat([
-      {role: "system", content: command},
-      {role: "assistant", content: `{"suggestions": ["${sentenceSuggestions.value.join('", "')}"]}`}
-    ])
+  // Back to a blank conversation, e.g. when another profile becomes active. Nothing from the previous
+  // conversation (history, edits, suggestions or half typed phrases) may carry over.
+  function resetConversation() {
+    cancelGeneration()
+    stopSpeaking()
+    messageHistory.value = []
+    activeEditHistory.value = []
+    wordSuggestions.value = initialWordSuggestions()
+    previousWordSuggestions.value = []
+    sentenceSuggestions.value = initialSentenceSuggestions()
+    editInstruction.value = null
+    lastSent.value = null
+    cancelSummary()
+    conversationSummary.value = {...emptySummary}
+    interlocutorPhrase.value = ''
+    scriberPhrase.value = ''
+    messageTab.value = 'build'
   }
 
-  async function generateWords() {
-    const command = `Given the Current Conversation History, generate a short list of key words or 
-    very short phrases the user can select from to build a new sentence. You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getKeywordSystemMessage()},
-      {role: "user", content: command}
-    ]
-    wordSuggestions.value = await chatCompletionModel.getResponse(messages, true, false) || wordSuggestions.value
+  // Messages carry a timestamp so saved sessions can show when things were said. When speakers are told
+  // apart, the interlocutor's messages also carry who said them: {speakerId, speaker} with speaker the name.
+  function addMessage(role, content, speaker = null) {
+    const message = {id: createId(), role, content, time: Date.now()}
+    if (speaker) Object.assign(message, {speakerId: speaker.id, speaker: speaker.name})
+    messageHistory.value.push(message)
   }
 
-  // Build Sentences
-  async function generateSentencesFromWords(words) {
-    const command = `Given the following list of words, generate between 3-5 sentences that the assistant 
-    might be trying to say. Keep them generic but use all the words:\n${words},You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getSentenceSystemMessage()},
-      {role: "user", content: command}
-    ]
-    sentenceSuggestions.value = await chatCompletionModel.getResponse(messages, false, true)
-    activeEditHistory.value = activeEditHistory.value.concat([
-      {role: "system", content: command},
-      {role: "assistant", content: `{"suggestions": ["${sentenceSuggestions.value.join('", "')}"]}`}
-    ])
+  // The model only needs who said what, with the name in front when there is more than one person
+  function conversationForPrompt() {
+    return messageHistory.value.map(({role, content, speaker}) =>
+      ({role, content: speaker ? `[${speaker}] ${content}` : content}))
   }
 
-  async function generateMoreWordsFromWords(words) {
-    const command = `Given the following list of words and the Current Conversation History, generate another 
-    list of related words that the assistant could select from to build a sentence:\n${words},You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getKeywordSystemMessage()},
-      {role: "user", content: command}
-    ]
-    wordSuggestions.value = await chatCompletionModel.getResponse(messages, true, false) || wordSuggestions.value
+  function speakerInstruction() {
+    if (!messageHistory.value.some(message => message.speaker)) return null
+    return `Several people may be talking to the user. Their messages start with the speaker's name in square 
+brackets, e.g. "[Lucy] Want a tea?". Address the person the user is most likely replying to, by name where it 
+fits, and don't put square brackets in your suggestions.`
   }
 
-  // New Sentence
-  async function generateWordSuggestionsFromNewTopic(topic) {
-    const command = `Ignore all previous conversation. Generate a short list of key words 
-      the assistant can select from to build a new sentence, based around this new topic: '${topic}',You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getKeywordSystemMessage()},
-      {role: "user", content: command}
-    ]
-    wordSuggestions.value = await chatCompletionModel.getResponse(messages, true, false) || wordSuggestions.value
+  // Corrections, e.g. when Whisper misheard. Sessions save themselves when the history changes.
+  function editMessage(index, content) {
+    const message = messageHistory.value[index]
+    if (!message || !content.trim() || content.trim() === message.content) return
+    message.content = content.trim()
+    message.edited = true
   }
 
-  async function generateSentenceSuggestionsFromNewTopic(topic) {
-    const command = `Ignore all previous conversation. Generate a list of 3 to 5 short generic sentences the 
-      assistant may want to say, based around this new topic: '${topic}',You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getSentenceSystemMessage()},
-      {role: "user", content: command}
-    ]
-    sentenceSuggestions.value = await chatCompletionModel.getResponse(messages, false, true)
-    activeEditHistory.value = activeEditHistory.value.concat([
-      {role: "system", content: command},
-      {role: "assistant", content: `{"suggestions": ["${sentenceSuggestions.value.join('", "')}"]}`}
-    ])
+  function deleteMessage(index) {
+    messageHistory.value.splice(index, 1)
   }
 
-  // Edit Sentence
-  async function editSingleResponseWithHint(response, hint) {
-    const command = `The response '${response}' was close. Suggest similar sentences based on the following hint':
-    \n'${hint}',You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getSentenceSystemMessage()},
-      {role: "user", content: command}
-    ]
-    sentenceSuggestions.value = await chatCompletionModel.getResponse(messages, false, true)
-    activeEditHistory.value = activeEditHistory.value.concat([
-      {role: "system", content: command},
-      {role: "assistant", content: `{"suggestions": ["${sentenceSuggestions.value.join('", "')}"]}`}
-    ])
+  // offset -1 moves a message earlier in the conversation, 1 later
+  function moveMessage(index, offset) {
+    const target = index + offset
+    if (target < 0 || target >= messageHistory.value.length) return
+    const [message] = messageHistory.value.splice(index, 1)
+    messageHistory.value.splice(target, 0, message)
   }
 
-  async function generateWordsForSingleResponseFromHint(response, hint) {
-    const command = `The response '${response}' was close. Generate a short list of key words or 
-    very short phrases the assistant can select from to build a similar sentence, based on the hint: '${hint}',You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getKeywordSystemMessage()},
-      {role: "user", content: command}
-    ]
-    wordSuggestions.value = await chatCompletionModel.getResponse(messages, true, false) || wordSuggestions.value
+  // Fresh suggestions for the conversation as it now stands, after a correction
+  function regenerateSuggestions() {
+    activeEditHistory.value = []
+    generateSuggestions('replyWords')
+    generateSuggestions('replySentences')
   }
 
-  async function editAllResponsesWithHint(hint) {
-    const command = `Try again, using the following hint:\n'${hint}'`
-    let messages = [
-      {role: "system", content: getSentenceSystemMessage()},
-      {role: "user", content: command}
-    ]
-    sentenceSuggestions.value = await chatCompletionModel.getResponse(messages, false, true)
-    activeEditHistory.value = activeEditHistory.value.concat([
-      {role: "system", content: command},
-      {role: "assistant", content: `{"suggestions": ["${sentenceSuggestions.value.join('", "')}"]}`}
-    ])
+  // What the interlocutor last said, if anything
+  const lastHeard = () => messageHistory.value.findLast(message => message.role === 'user')?.content || ''
+
+  // Say a sentence the user picked (a suggestion, typed message or phrase) and add it to the conversation.
+  // source says where it came from when it wasn't one of the suggestions, e.g. 'phrasebook'.
+  function sendMessage(sentence, source = null) {
+    // the user found what they wanted, so stop generating the rest
+    cancelGeneration()
+    const previous = {
+      wordSuggestions: wordSuggestions.value,
+      sentenceSuggestions: sentenceSuggestions.value,
+      activeEditHistory: activeEditHistory.value
+    }
+    const shown = shownSentenceSuggestions.value
+    usageStore.recordSentence(sentence, shown, lastHeard(),
+      source || (shown.includes(sentence) ? 'suggestion' : 'typed'))
+    addMessage("assistant", sentence)
+    predictionStore.learn(sentence)
+    lastSent.value = {message: messageHistory.value.at(-1), ...previous}
+    speak(sentence)
+    activeEditHistory.value = []
   }
 
-  async function generateWordsForAllResponsesFromHint(hint) {
-    const command = `None of those suggestions were very useful. This time, instead of full sentences, generate 
-    a short list of key words or very short phrases, that the assistant can select from to build 
-    alternative sentences. Here is a hint to help guide you: '${hint}',You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getKeywordSystemMessage()},
-      {role: "user", content: command}
-    ]
-    wordSuggestions.value = await chatCompletionModel.getResponse(messages, true, false) || wordSuggestions.value
+  // Only while nothing has been said since
+  const canUndoSend = computed(() => !!lastSent.value && messageHistory.value.at(-1) === lastSent.value.message)
+
+  // Take back the last message: stop saying it, drop it from the conversation and put the suggestions back.
+  // The sentence goes back in the message box in case it only needed a tweak.
+  function undoSend() {
+    if (!canUndoSend.value) return
+    const {message, ...previous} = lastSent.value
+    lastSent.value = null
+    cancelGeneration()
+    stopSpeaking()
+    messageHistory.value.pop()
+    predictionStore.unlearn(message.content)
+    usageStore.forgetSentence(message.content)
+    wordSuggestions.value = previous.wordSuggestions
+    sentenceSuggestions.value = previous.sentenceSuggestions
+    activeEditHistory.value = previous.activeEditHistory
+    scriberPhrase.value = message.content
   }
 
-  // Generate Response
-  async function generateNewResponses() {
-    const command = `Try again, providing 3 to 5 alternative suggestions`
-    let messages = [
-      {role: "system", content: getSentenceSystemMessage()},
+  const EXTRA_SENTENCES = 3  // asked for on top of those shown, so near-duplicates can be dropped
+
+  // How many suggestions each list asks for
+  const suggestionCounts = () => ({
+    words: '10 to 15',
+    sentences: `${settingStore.suggestionCount + 1} to ${settingStore.suggestionCount + EXTRA_SENTENCES}`
+  })
+
+  /**
+   * Ask the model for suggestions of one kind (see suggestionKinds), built from the profile's prompt templates.
+   * variables fills in the ones that depend on what the user did: hint, words, topic or response. Sentence
+   * suggestions are picked as they stream in (see sentencePicker) and remembered in the edit history so asking
+   * again gives something different.
+   */
+  async function generateSuggestions(kind, variables = {}) {
+    const {target, system} = suggestionKinds[kind]
+    const values = {
+      backstory: settingStore.backstory,
+      context: settingStore.context,
+      date: new Date().toString(),
+      history: '[]',
+      editHistory: '',
+      rules: extraRules(),
+      examples: usageStore.examplesForPrompt(lastHeard()),
+      count: suggestionCounts()[target],
+      ...variables
+    }
+    const render = () => [
+      renderTemplate(promptStore.templateText(system), values),
+      renderTemplate(promptStore.templateText(kind), values)
+    ]
+    // the conversation gets whatever the rest of the prompt leaves of the budget
+    const fixedTokens = render().reduce((total, text) => total + chatCompletionModel.countTokens(text), 0)
+    const {history, editHistory} = budgetedHistory(promptBudgetFor(settingStore.selectedLLMModel) - fixedTokens)
+    values.history = JSON.stringify(history)
+    values.editHistory = editHistory.length ? JSON.stringify(editHistory) : ''
+    const [systemMessage, command] = render()
+    const messages = [
+      {role: "system", content: systemMessage},
       {role: "user", content: command}
     ]
-    sentenceSuggestions.value = await chatCompletionModel.getResponse(messages, false, true)
+    // the offline predictor's words fill in straight away, until the model's start streaming in
+    if (target === 'words') showPredictedWords(variables)
+    const suggestions = target === 'words' ? wordSuggestions : sentenceSuggestions
+    const createPicker = target === 'sentences' ? () => sentencePicker(variables) : null
+    const result = await streamSuggestions(suggestions, target, messages, createPicker)
+    summariseInBackground()
+    if (!result || target !== 'sentences') return
     activeEditHistory.value = activeEditHistory.value.concat([
       {role: "system", content: command},
-      {role: "assistant", content: `{"suggestions": ["${sentenceSuggestions.value.join('", "')}"]}`}
+      {role: "assistant", content: `{"suggestions": ["${result.join('", "')}"]}`}
     ])
   }
 
-  async function generateWordSuggestionsFromHint(hint) {
-    const command = `Given the Current Conversation History, generate a short list of key words or 
-    very short phrases the assistant can select from to build a new sentence, based on the hint: '${hint}',You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getKeywordSystemMessage()},
-      {role: "user", content: command}
-    ]
-    wordSuggestions.value = await chatCompletionModel.getResponse(messages, true, false) || wordSuggestions.value
+  // Cuts the model's sentences down to the number the user wants as they stream in: near-duplicates go, a
+  // spread of yes, no and in between at different lengths stays, and those that fit what was said (or what the
+  // user asked for) and what the user tends to choose go first. Meaning is compared with the sentence embedding
+  // model when the user has turned it on and it has loaded, otherwise by shared words.
+  function sentencePicker({words = [], topic = '', hint = ''}) {
+    const embed = settingStore.suggestionEmbeddings && sentenceEmbedderReady()
+      ? (texts) => embedSentences(texts).catch(error => {
+        console.error('Error embedding suggestions:', error)
+        return null
+      })
+      : null
+    return createSuggestionPicker({
+      count: settingStore.suggestionCount,
+      expected: settingStore.suggestionCount + EXTRA_SENTENCES,
+      embed,
+      query: [lastHeard(), ...words, topic, hint].filter(Boolean).join(' '),
+      personalScore: (text) => usageStore.personalScores([text])[0]
+    })
   }
 
-  async function generateSentenceSuggestionsFromHint(hint) {
-    const command = `Given the Current Conversation History, generate a list of 3 to 5 short generic sentences the 
-      assistant may want to say, based on the hint: '${hint}',You must respond only with a valid JSON list 
-    of suggestions and NOTHING else.`
-    let messages = [
-      {role: "system", content: getSentenceSystemMessage()},
-      {role: "user", content: command}
-    ]
-    sentenceSuggestions.value = await chatCompletionModel.getResponse(messages, false, true)
-    activeEditHistory.value = activeEditHistory.value.concat([
-      {role: "system", content: command},
-      {role: "assistant", content: `{"suggestions": ["${sentenceSuggestions.value.join('", "')}"]}`}
-    ])
+  // Words likely to follow whatever the request is about: the picked words, the topic or the hint
+  function showPredictedWords({words = [], topic = '', hint = ''}) {
+    const previous = [...words, topic, hint].filter(Boolean)
+    const predicted = predictionStore.predictWords(previous, {limit: LOCAL_WORD_COUNT, exclude: words})
+    if (predicted.length) wordSuggestions.value = predicted
   }
 
-  function getKeywordSystemMessage() {
-    let systemMessage = `
-You are an AI Bot designed to assist someone living with Motor Neurone Disease (MND) (hereafter referred to as the 'user'). 
-You will receive a Current Conversation History between the user and another person (the 'interlocutor'). 
-Your role is to generate **key words and phrases** that may be relevant to the user's next sentence.'.  
-
-**The user’s backstory is**:
-
-${settingStore.backstory}
-
-**Rules for Suggestions**:  
-Follow these rules when creating suggestions:
-
-1. Include a variety of options reflecting different moods, opinions and perspectives.
-2. Tailor suggestions based on the assistant's personality, backstory, and current context, but avoid assuming details not provided.
-3. Keep suggestions concise, manageable, likely and useful for communication.
-
-**Examples**:
-
-**Input Example**  
-*User:* "Hello, glad you're home"  
-*assistant:* "Yeah good to be back"
-*User:* "Did you have a good day at work?"  
-*User:* "Prompt: Generate 10-15 key words for a response."  
-
-**Output Example**  
-\`\`\`json
-[
-  "not",
-  "good",
-  "stressful",
-  "fun",
-  "tired",
-  "colleagues",
-  "deadline",
-  "meeting",
-  "boring",
-  "day off"
-]
-\`\`\`
-`
-    let now = new Date();
-    systemMessage += `Here is some background context to the users current situation. You do not necessarily 
-need to use it:\nDate and Time: ${now}\n`
-
-    if (settingStore.context) {
-      systemMessage += `${settingStore.context}\n`
-    }
-
-    systemMessage += `
-**Current Conversation History**
-\`\`\`json
-${JSON.stringify(messageHistory.value)}
-\`\`\`
-`
-
-    if (activeEditHistory.value.length !== 0) {
-      systemMessage += `
-**Edit History**
-\`\`\`json
-${JSON.stringify(activeEditHistory.value)}
-\`\`\`
-`
-    }
+  const HISTORY_SHARE = 0.7  // of the budget left for history; the edit history gets the rest
+  const SUMMARY_SHARE = 0.15  // of the whole budget, for the running summary
+  const SUMMARY_INPUT_SHARE = 0.6  // of the whole budget, for the turns summarised in one go
+  const MIN_RECENT_TURNS = 2
+
+  // Older turns the prompt has no room for are folded into this in the background. upTo is how many messages
+  // from the start it covers and covered is those messages as they were summarised, so editing one of them
+  // (or resuming another conversation) makes the summary stale.
+  const emptySummary = {text: '', upTo: 0, covered: '[]'}
+  const conversationSummary = ref({...emptySummary})
+  let summaryController = null
+  let verbatimStart = 0  // the first message the latest prompt had room for
+
+  function currentSummary(conversation) {
+    const summary = conversationSummary.value
+    const valid = summary.upTo <= conversation.length &&
+      JSON.stringify(conversation.slice(0, summary.upTo)) === summary.covered
+    return valid ? summary : {...emptySummary}
+  }
 
-    systemMessage += `
-The next message you receive will be the instruction for generating suggestions.
-`
-    return systemMessage
+  // The conversation and edit history for a prompt, cut down to fit in `available` tokens: the latest turns
+  // word for word, older ones as the summary, and the newest rounds of edits
+  function budgetedHistory(available) {
+    const countTokens = (text) => chatCompletionModel.countTokens(text)
+    const conversation = conversationForPrompt()
+    const summary = currentSummary(conversation)
+    const summaryMessage = {role: 'system', content: `Summary of the earlier conversation: ${summary.text}`}
+    const summaryTokens = summary.text ? countTokens(JSON.stringify(summaryMessage)) : 0
+    verbatimStart = recentTurnsStart(conversation, available * HISTORY_SHARE - summaryTokens, countTokens,
+      MIN_RECENT_TURNS)
+    const recent = conversation.slice(verbatimStart)
+    const history = summary.text && verbatimStart > 0 ? [summaryMessage, ...recent] : recent
+    const editHistory = trimEditHistory(activeEditHistory.value, available - countTokens(JSON.stringify(history)),
+      countTokens)
+    return {history, editHistory}
   }
 
-  function getSentenceSystemMessage() {
-    let systemMessage = `
-You are an AI Bot designed to assist someone living with Motor Neurone Disease (MND) (hereafter referred to as the 'user'). 
-You will receive a Current Conversation History between the user and another person (the 'interlocutor'). 
-Your role is to generate **short example sentences** that the user may want to use to respond.'.  
-
-**The user’s backstory is**:
-
-${settingStore.backstory}
-
-**Rules for Suggestions**:  
-Follow these rules when creating suggestions:
-
-1. Include a variety of options reflecting different moods, opinions and perspectives.
-2. Tailor suggestions based on the assistant's personality, backstory, and current context, but avoid assuming details not provided.
-3. Keep suggestions concise, manageable, likely and useful for communication.
-
-**Examples**:
-
-**Input Example**
-*User:* "Fantastic game today hey?"  
-*assistant:* "Yeah it was brilliant. What a way to end the week"
-*User:* "just going to the bar, want anything?"  
-*User:* "Prompt: Given the conversation history, generate a list of 3 to 5 short generic sentences the assistant may want to say"  
-
-**Output Example**
-\`\`\`json
-[
-  "No I'm okay thanks",
-  "Oh go on then, a beer would be great thanks",
-  "Well, maybe a glass of water?"
-]
-\`\`\`
-
------
-**Input Example**
-*User:* "I'm about to head to the cinema"  
-*assistant:* "Oh what are you watching"
-*User:* "Dune, have you seen it yet?"  
-*User:* "Given the following list of words, generate between 3-5 sentences that the assistant might be trying to say. 
-Keep them generic but use all the words:
-['recommend', 'watching']
-"  
-
-**Output Example**
-\`\`\`json
-[
-  "No not yet, would you recommend watching it?",
-  "Yes it was great, I'd really recommend watching it!",
-  "Yes. It wasn't that good, wouldn't really recommend watching it",
-]
-\`\`\`
-`
-    let now = new Date();
-    systemMessage += `Here is some background context to the users current situation. You do not necessarily 
-need to use it:\nDate and Time: ${now}\n`
-
-    if (settingStore.context) {
-      systemMessage += `${settingStore.context}\n`
+  // Catch the summary up with the turns that no longer fit, a budget's worth at a time, while nothing else is
+  // being generated. Failures only mean older turns are left out for now.
+  async function summariseInBackground() {
+    if (summaryController || Object.keys(pendingRequests).length) return
+    const conversation = conversationForPrompt()
+    let summary = currentSummary(conversation)
+    const target = Math.min(verbatimStart, conversation.length)
+    if (summary.upTo >= target) return
+    const controller = summaryController = new AbortController()
+    const budget = promptBudgetFor(settingStore.selectedLLMModel)
+    const countTokens = (text) => chatCompletionModel.countTokens(text)
+    try {
+      while (summary.upTo < target) {
+        let end = summary.upTo + 1
+        let used = countTokens(JSON.stringify(conversation[summary.upTo]))
+        while (end < target && used + countTokens(JSON.stringify(conversation[end])) <= budget * SUMMARY_INPUT_SHARE) {
+          used += countTokens(JSON.stringify(conversation[end++]))
+        }
+        const prompt = renderTemplate(promptStore.templateText('summary'), {
+          summary: summary.text,
+          history: JSON.stringify(conversation.slice(summary.upTo, end)),
+          count: Math.round(budget * SUMMARY_SHARE * 0.75),  // about 0.75 words per token
+        })
+        const generator = await textGenerator()
+        if (controller.signal.aborted) return
+        const text = parseSummary(await generator.complete([{role: 'user', content: prompt}],
+          {signal: controller.signal}))
+        if (controller.signal.aborted || !text) return
+        summary = {text, upTo: end, covered: JSON.stringify(conversation.slice(0, end))}
+        // the conversation may have been corrected in the meantime
+        if (JSON.stringify(conversationForPrompt().slice(0, end)) !== summary.covered) return
+        conversationSummary.value = summary
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) console.warn('Could not summarise the conversation', error)
+    } finally {
+      if (summaryController === controller) summaryController = null
     }
+  }
 
-    systemMessage += `
-**Current Conversation History**
-\`\`\`json
-${JSON.stringify(messageHistory.value)}
-\`\`\`
-`
-
-    if (activeEditHistory.value.length !== 0) {
-      systemMessage += `
-**Edit History**
-\`\`\`json
-${JSON.stringify(activeEditHistory.value)}
-\`\`\`
-`
-    }
+  function cancelSummary() {
+    summaryController?.abort()
+    summaryController = null
+  }
 
-    systemMessage += `
-The next message you receive will be the instruction for generating suggestions.
-`
-    return systemMessage
+  // Rules after the first three depend on the language and who is taking part
+  function extraRules() {
+    return [languageInstruction(settingStore.language), speakerInstruction()]
+      .filter(Boolean)
+      .map((instruction, i) => `\n${i + 4}. ${instruction}`)
+      .join('')
   }
 
   return {
@@ -558,19 +450,19 @@ The next message you receive will be the instruction for generating suggestions.
     wordSuggestions,
     previousWordSuggestions,
     sentenceSuggestions,
+    shownSentenceSuggestions,
     editInstruction,
-    generateSentences,
-    generateWords,
-    generateSentencesFromWords,
-    generateMoreWordsFromWords,
-    generateWordSuggestionsFromNewTopic,
-    generateSentenceSuggestionsFromNewTopic,
-    editSingleResponseWithHint,
-    generateWordsForSingleResponseFromHint,
-    editAllResponsesWithHint,
-    generateWordsForAllResponsesFromHint,
-    generateNewResponses,
-    generateWordSuggestionsFromHint,
-    generateSentenceSuggestionsFromHint,
+    conversationSummary,
+    addMessage,
+    editMessage,
+    deleteMessage,
+    moveMessage,
+    regenerateSuggestions,
+    sendMessage,
+    canUndoSend,
+    undoSend,
+    resetConversation,
+    generateSuggestions,
+    cancelGeneration,
   }
 })
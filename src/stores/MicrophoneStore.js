@@ -6,8 +6,23 @@ export const useMicrophoneStore = defineStore('microphone', {
     isProcessing: false,    // audio processing state
     isLoading: false,       // model loading state
     currentModel: '',       // current STT model name
-    loadProgress: 0         // model loading progress
+    loadProgress: 0,        // model loading progress
+    isListening: false,     // hands-free listening is on
+    isListeningPaused: false, // listening paused while Ossia speaks
+    isHearingSpeech: false, // an utterance is in progress
+    pendingSegments: 0      // utterances waiting to be transcribed
   }),
+
+  getters: {
+    // 'off', 'paused', 'speech', 'processing' or 'listening', for the hands-free indicator
+    listeningState(state) {
+      if (!state.isListening) return 'off';
+      if (state.isListeningPaused) return 'paused';
+      if (state.isHearingSpeech) return 'speech';
+      if (state.pendingSegments > 0) return 'processing';
+      return 'listening';
+    }
+  },
   
   actions: {
     setActive(status) {
@@ -24,6 +39,23 @@ export const useMicrophoneStore = defineStore('microphone', {
     },
     setLoadProgress(progress) {
       this.loadProgress = progress;
+    },
+    setListening(status) {
+      this.isListening = status;
+      if (!status) {
+        this.isListeningPaused = false;
+        this.isHearingSpeech = false;
+      }
+    },
+    setListeningPaused(status) {
+      this.isListeningPaused = status;
+      if (status) this.isHearingSpeech = false;
+    },
+    setHearingSpeech(status) {
+      this.isHearingSpeech = status;
+    },
+    setPendingSegments(count) {
+      this.pendingSegments = count;
     }
   }
 });
\ No newline at end of file
@@ -0,0 +1,124 @@
+import {computed, ref} from 'vue'
+import {defineStore} from 'pinia'
+import {persistProfileJSON, readProfileJSON} from "@/utils/profileStorage.js";
+import {createId} from "@/utils/ids.js";
+
+// Starred history bubbles go here
+export const SAVED_CATEGORY = 'Saved'
+
+const defaultPhrases = [
+  ['Needs', 'I need the toilet'],
+  ['Needs', 'Please reposition me'],
+  ['Needs', 'Could I have a drink please?'],
+  ['Needs', "I'm in pain"],
+  ['Needs', "I'm too hot"],
+  ['Needs', "I'm too cold"],
+  ['Replies', 'Yes'],
+  ['Replies', 'No'],
+  ['Replies', 'Thank you'],
+  ['Replies', "I don't know"],
+  ['Replies', 'Give me a moment please'],
+  ['Social', 'Hello!'],
+  ['Social', 'How are you?'],
+  ['Social', 'See you later'],
+]
+
+function normalise(text) {
+  return text.trim().toLowerCase()
+}
+
+// Quick phrases the active profile says often, spoken in one click without waiting for the model
+export const usePhrasebookStore = defineStore('phrasebook', () => {
+  const phrases = ref([])  // [{id, text, category, uses, lastUsed}]
+
+  function createPhrase(text, category) {
+    return {id: createId(), text: text.trim(), category: category.trim(), uses: 0, lastUsed: null}
+  }
+
+  function loadPhrasebook() {
+    const stored = readProfileJSON('phrasebook')
+    phrases.value = Array.isArray(stored)
+      ? stored
+      : defaultPhrases.map(([category, text]) => createPhrase(text, category))
+  }
+
+  loadPhrasebook()
+
+  persistProfileJSON('phrasebook', phrases)
+
+  // In the order they first appear, with starred phrases last
+  const categories = computed(() => {
+    const names = [...new Set(phrases.value.map(phrase => phrase.category))]
+    return [...names.filter(name => name !== SAVED_CATEGORY), ...names.filter(name => name === SAVED_CATEGORY)]
+  })
+
+  // Most used first, then most recently used, so the phrases someone relies on stay near the top
+  function phrasesIn(category) {
+    return phrases.value
+      .filter(phrase => !category || phrase.category === category)
+      .sort((a, b) => b.uses - a.uses || (b.lastUsed || 0) - (a.lastUsed || 0))
+  }
+
+  // Anywhere in the phrasebook, or only in the given category
+  function findPhrase(text, category = null) {
+    return phrases.value.find(phrase =>
+      normalise(phrase.text) === normalise(text) && (!category || phrase.category === category))
+  }
+
+  function addPhrase(text, category) {
+    if (!text.trim() || findPhrase(text)) return
+    phrases.value.push(createPhrase(text, category.trim() || SAVED_CATEGORY))
+  }
+
+  function updatePhrase(id, changes) {
+    const phrase = phrases.value.find(phrase => phrase.id === id)
+    if (phrase) Object.assign(phrase, changes)
+  }
+
+  function removePhrase(id) {
+    phrases.value = phrases.value.filter(phrase => phrase.id !== id)
+  }
+
+  function recordUse(id) {
+    const phrase = phrases.value.find(phrase => phrase.id === id)
+    if (!phrase) return
+    phrase.uses++
+    phrase.lastUsed = Date.now()
+  }
+
+  function isSaved(text) {
+    return !!findPhrase(text, SAVED_CATEGORY)
+  }
+
+  // Star or un-star something that was said. Only starred phrases are touched, so starring "Yes" and
+  // changing your mind leaves the built-in one alone.
+  function toggleSaved(text) {
+    if (!text.trim()) return
+    const phrase = findPhrase(text, SAVED_CATEGORY)
+    if (phrase) removePhrase(phrase.id)
+    else phrases.value.push(createPhrase(text, SAVED_CATEGORY))
+  }
+
+  // e.g. from an imported profile; usage counts start again unless the list has them
+  function replacePhrases(newPhrases) {
+    phrases.value = newPhrases.map(phrase => ({
+      ...createPhrase(phrase.text, phrase.category),
+      uses: phrase.uses || 0,
+      lastUsed: phrase.lastUsed || null
+    }))
+  }
+
+  return {
+    phrases,
+    categories,
+    phrasesIn,
+    addPhrase,
+    updatePhrase,
+    removePhrase,
+    recordUse,
+    isSaved,
+    toggleSaved,
+    replacePhrases,
+    loadPhrasebook,
+  }
+})
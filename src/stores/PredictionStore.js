@@ -0,0 +1,78 @@
+import {ref, watch} from 'vue'
+import {defineStore} from 'pinia'
+import {persistProfileJSON, readProfileJSON} from "@/utils/profileStorage.js";
+import {WordPredictor} from "@/utils/wordPredictor.js";
+import {baseVocabulary} from "@/utils/baseVocabulary.js";
+import {useSettingsStore} from "@/stores/SettingsStore.js";
+
+const USER_WEIGHT = 3  // the user's own messages count for more than the base vocabulary
+const MAX_LEARNED_MESSAGES = 2000  // oldest are forgotten first
+
+// Word suggestions that need no AI model: instant, offline, and learning from what the active profile says
+export const usePredictionStore = defineStore('predictions', () => {
+  const settingStore = useSettingsStore()
+  const learnedMessages = ref([])  // what the user has said, newest last
+  let predictor = new WordPredictor()  // not reactive, it is rebuilt from the messages instead
+
+  function rebuild() {
+    predictor = new WordPredictor()
+    const {sentences, words} = baseVocabulary(settingStore.language)
+    sentences.forEach(sentence => predictor.learn(sentence))
+    predictor.learnWords(words)
+    learnedMessages.value.forEach(message => predictor.learn(message, USER_WEIGHT))
+  }
+
+  function loadPredictions() {
+    const stored = readProfileJSON('learnedMessages')
+    learnedMessages.value = Array.isArray(stored) ? stored : []
+    rebuild()
+  }
+
+  loadPredictions()
+
+  persistProfileJSON('learnedMessages', learnedMessages)
+
+  watch(() => settingStore.language, rebuild)
+
+  function learn(text) {
+    learnedMessages.value.push(text)
+    predictor.learn(text, USER_WEIGHT)
+    if (learnedMessages.value.length > MAX_LEARNED_MESSAGES) {
+      learnedMessages.value.splice(0, learnedMessages.value.length - MAX_LEARNED_MESSAGES)
+      rebuild()
+    }
+  }
+
+  // e.g. when a send is undone
+  function unlearn(text) {
+    const index = learnedMessages.value.lastIndexOf(text)
+    if (index === -1) return
+    learnedMessages.value.splice(index, 1)
+    rebuild()
+  }
+
+  function forgetLearned() {
+    learnedMessages.value = []
+    rebuild()
+  }
+
+  // Likely next words after `previous`, see WordPredictor.predict
+  function predictWords(previous = [], options = {}) {
+    return predictor.predict(previous, options)
+  }
+
+  // Words starting with `prefix` that are likely after `previous`
+  function completeWord(prefix, previous = [], options = {}) {
+    return predictor.predict(previous, {...options, prefix})
+  }
+
+  return {
+    learnedMessages,
+    learn,
+    unlearn,
+    forgetLearned,
+    predictWords,
+    completeWord,
+    loadPredictions,
+  }
+})
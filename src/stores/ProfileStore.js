@@ -0,0 +1,110 @@
+import {computed, ref, watch} from 'vue'
+import {defineStore} from 'pinia'
+import {useSettingsStore} from "@/stores/SettingsStore.js";
+import {useMessageStore} from "@/stores/MessageStore.js";
+import {useSessionStore} from "@/stores/SessionStore.js";
+import {usePhrasebookStore} from "@/stores/PhrasebookStore.js";
+import {useSpeakerStore} from "@/stores/SpeakerStore.js";
+import {usePromptStore} from "@/stores/PromptStore.js";
+import {usePredictionStore} from "@/stores/PredictionStore.js";
+import {useUsageStore} from "@/stores/UsageStore.js";
+import {resetVoice} from "@/repositories/TextToSpeechRepository.js";
+import {deleteClonedVoice, deleteProfileVoiceClips} from "@/repositories/VoiceCloneRepository.js";
+import {
+  DEFAULT_PROFILE_ID,
+  clearProfileStorage,
+  getActiveProfileId,
+  setActiveProfileId
+} from "@/utils/profileStorage.js";
+import {whisperModelFor} from "@/utils/languages.js";
+import {createId} from "@/utils/ids.js";
+
+// Several people can share one device, each with their own backstory, settings and conversations
+export const useProfileStore = defineStore('profiles', () => {
+  const settingStore = useSettingsStore()
+  const messageStore = useMessageStore()
+  const sessionStore = useSessionStore()
+  const phrasebookStore = usePhrasebookStore()
+  const speakerStore = useSpeakerStore()
+  const promptStore = usePromptStore()
+  const predictionStore = usePredictionStore()
+  const usageStore = useUsageStore()
+
+  const profiles = ref(readProfiles())  // [{id, name, createdAt}]
+  const activeProfileId = ref(getActiveProfileId())
+  const activeProfile = computed(() => profiles.value.find(profile => profile.id === activeProfileId.value))
+  // ask who is using Ossia when it opens, if there is a choice
+  const showProfilePicker = ref(profiles.value.length > 1)
+
+  function readProfiles() {
+    try {
+      const stored = JSON.parse(localStorage.getItem('profiles'))
+      if (Array.isArray(stored) && stored.length > 0) return stored
+    } catch (error) {
+      console.error("Error parsing profiles from localStorage:", error);
+    }
+    // whoever used Ossia before profiles existed
+    return [{id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: Date.now()}]
+  }
+
+  watch(profiles, (newProfiles) => {
+    localStorage.setItem('profiles', JSON.stringify(newProfiles))
+  }, {deep: true})
+
+  function createProfile(name) {
+    const profile = {
+      id: createId(),
+      name: name.trim() || `Profile ${profiles.value.length + 1}`,
+      createdAt: Date.now()
+    }
+    profiles.value.push(profile)
+    return profile
+  }
+
+  function renameProfile(id, name) {
+    const profile = profiles.value.find(profile => profile.id === id)
+    if (profile && name.trim()) profile.name = name.trim()
+  }
+
+  async function switchProfile(id) {
+    if (id === activeProfileId.value || !profiles.value.some(profile => profile.id === id)) return
+    const speechToTextModel = () => whisperModelFor(settingStore.selectedSTTModel, settingStore.language)
+    const previousSTTModel = speechToTextModel()
+    // clear the conversation first so nothing from this user is saved or sent under the next one
+    sessionStore.leaveSession()
+    messageStore.resetConversation()
+    setActiveProfileId(id)
+    activeProfileId.value = id
+    settingStore.loadProfileSettings()
+    phrasebookStore.loadPhrasebook()
+    speakerStore.loadSpeakers()
+    promptStore.loadPromptTemplates()
+    predictionStore.loadPredictions()
+    usageStore.loadUsageLog()
+    resetVoice()  // each profile may have its own cloned voice
+    // the speech-to-text model is only loaded on startup
+    if (speechToTextModel() !== previousSTTModel) return window.location.reload()
+    await sessionStore.loadProfileSessions()
+  }
+
+  // Removes the profile along with everything saved for it. The active profile can't be deleted.
+  async function deleteProfile(id) {
+    if (id === activeProfileId.value) return
+    profiles.value = profiles.value.filter(profile => profile.id !== id)
+    clearProfileStorage(id)
+    await sessionStore.deleteProfileSessions(id)
+    await Promise.all([deleteClonedVoice(id), deleteProfileVoiceClips(id)])
+      .catch(err => console.error("Could not delete the profile's voice", err))
+  }
+
+  return {
+    profiles,
+    activeProfileId,
+    activeProfile,
+    showProfilePicker,
+    createProfile,
+    renameProfile,
+    switchProfile,
+    deleteProfile,
+  }
+})
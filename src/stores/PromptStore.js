@@ -0,0 +1,57 @@
+import {ref} from 'vue'
+import {defineStore} from 'pinia'
+import {persistProfileJSON, readProfileJSON} from "@/utils/profileStorage.js";
+import {promptTemplates} from "@/utils/promptTemplates.js";
+
+// The active profile's edits to the prompt templates, e.g. to suit a small local model
+export const usePromptStore = defineStore('prompts', () => {
+  // name -> {text, version} where version is the version of the default the edit was made from
+  const customTemplates = ref({})
+
+  function loadPromptTemplates() {
+    const stored = readProfileJSON('promptTemplates')
+    customTemplates.value = stored && typeof stored === 'object' ? stored : {}
+  }
+
+  loadPromptTemplates()
+
+  persistProfileJSON('promptTemplates', customTemplates)
+
+  function templateText(name) {
+    return customTemplates.value[name]?.text ?? promptTemplates[name].text
+  }
+
+  function isCustomised(name) {
+    return name in customTemplates.value
+  }
+
+  // Edited before the default was last changed, so the edit may be missing something
+  function isOutdated(name) {
+    return isCustomised(name) && customTemplates.value[name].version < promptTemplates[name].version
+  }
+
+  // Saving the default text unchanged just resets it
+  function saveTemplate(name, text) {
+    if (text === promptTemplates[name].text) return resetTemplate(name)
+    customTemplates.value[name] = {text, version: promptTemplates[name].version}
+  }
+
+  function resetTemplate(name) {
+    delete customTemplates.value[name]
+  }
+
+  function resetAllTemplates() {
+    customTemplates.value = {}
+  }
+
+  return {
+    customTemplates,
+    templateText,
+    isCustomised,
+    isOutdated,
+    saveTemplate,
+    resetTemplate,
+    resetAllTemplates,
+    loadPromptTemplates,
+  }
+})
@@ -0,0 +1,204 @@
+import {ref, watch} from 'vue'
+import {defineStore} from 'pinia'
+import {useMessageStore} from "@/stores/MessageStore.js";
+import {useAlertStore} from "@/stores/AlertStore.js";
+import {deleteRecord, getAllRecords, getRecord, putRecord} from "@/repositories/Database.js";
+import {DEFAULT_PROFILE_ID, getActiveProfileId, profileStorage} from "@/utils/profileStorage.js";
+import {createId} from "@/utils/ids.js";
+
+// Conversations are saved to IndexedDB as they happen so a reload (or a settings change) can pick up
+// where it left off, and older conversations can be brought back as context. Each session belongs to the
+// profile that was active when it started, and only the active profile's sessions are listed.
+export const useSessionStore = defineStore('sessions', () => {
+  const messageStore = useMessageStore()
+  const sessions = ref([])  // newest first, without their messages
+  const currentSessionId = ref(profileStorage.getItem('currentSessionId'))
+  const showSessionBrowser = ref(false)
+  let savedMessages = '[]'  // last history written, so reloading a session doesn't save it straight back
+
+  function setCurrentSession(id) {
+    currentSessionId.value = id
+    if (id) profileStorage.setItem('currentSessionId', id)
+    else profileStorage.removeItem('currentSessionId')
+  }
+
+  function belongsToProfile(session, profileId = getActiveProfileId()) {
+    // sessions saved before profiles existed belong to the default one
+    return (session.profileId || DEFAULT_PROFILE_ID) === profileId
+  }
+
+  watch(() => messageStore.messageHistory, saveCurrentSession, {deep: true})
+
+  function summarise({messages, ...session}) {
+    return {...session, messageCount: messages.length, preview: messages.at(-1)?.content || ''}
+  }
+
+  // Messages saved before they had ids get one when the session is opened
+  function withIds(messages) {
+    return messages.map(message => message.id ? message : {...message, id: createId()})
+  }
+
+  function defaultName(time) {
+    return `Conversation ${new Date(time).toLocaleString([], {dateStyle: 'medium', timeStyle: 'short'})}`
+  }
+
+  function showError(title, err) {
+    console.error(title, err)
+    useAlertStore().showAlert('error', title, err.message)
+  }
+
+  async function loadSessions() {
+    const records = await getAllRecords('sessions')
+    sessions.value = records.filter(session => belongsToProfile(session))
+      .map(summarise)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+  }
+
+  async function restoreLastSession() {
+    try {
+      await loadSessions()
+      // don't replace a conversation that started while the database was opening
+      if (currentSessionId.value && messageStore.messageHistory.length === 0) {
+        await resumeSession(currentSessionId.value)
+      }
+    } catch (err) {
+      console.warn('Conversation sessions are unavailable', err)
+    }
+  }
+
+  async function saveCurrentSession() {
+    const messages = messageStore.messageHistory.map(message => ({...message}))
+    const serialised = JSON.stringify(messages)
+    if (serialised === savedMessages) return
+    savedMessages = serialised
+    // a session starts with its first message, and goes again if every message is deleted or taken back
+    if (messages.length === 0) {
+      if (currentSessionId.value) await deleteSession(currentSessionId.value)
+      return
+    }
+
+    const now = Date.now()
+    if (!currentSessionId.value) setCurrentSession(createId())
+    const existing = sessions.value.find(session => session.id === currentSessionId.value)
+    const session = {
+      id: currentSessionId.value,
+      name: existing?.name || defaultName(now),
+      createdAt: existing?.createdAt || now,
+      profileId: existing?.profileId || getActiveProfileId(),
+      updatedAt: now,
+      messages
+    }
+    sessions.value = [summarise(session), ...sessions.value.filter(other => other.id !== session.id)]
+    try {
+      await putRecord('sessions', session)
+    } catch (err) {
+      showError('Could not save the conversation', err)
+    }
+  }
+
+  async function resumeSession(id) {
+    let session
+    try {
+      session = await getRecord('sessions', id)
+    } catch (err) {
+      return showError('Could not open the conversation', err)
+    }
+    if (!session || !belongsToProfile(session)) {
+      setCurrentSession(null)
+      return
+    }
+    messageStore.cancelGeneration()
+    const messages = withIds(session.messages)
+    savedMessages = JSON.stringify(messages)
+    setCurrentSession(id)
+    messageStore.activeEditHistory = []
+    messageStore.messageHistory = messages
+  }
+
+  function newSession() {
+    messageStore.cancelGeneration()
+    savedMessages = '[]'
+    setCurrentSession(null)
+    messageStore.activeEditHistory = []
+    messageStore.messageHistory = []
+  }
+
+  async function renameSession(id, name) {
+    try {
+      const session = await getRecord('sessions', id)
+      session.name = name.trim() || defaultName(session.createdAt)
+      await putRecord('sessions', session)
+      sessions.value = sessions.value.map(other => other.id === id ? summarise(session) : other)
+    } catch (err) {
+      showError('Could not rename the conversation', err)
+    }
+  }
+
+  async function deleteSession(id) {
+    try {
+      await deleteRecord('sessions', id)
+      sessions.value = sessions.value.filter(session => session.id !== id)
+      if (id === currentSessionId.value) newSession()
+    } catch (err) {
+      showError('Could not delete the conversation', err)
+    }
+  }
+
+  // Full sessions, messages included, oldest first: just the one on screen or everything saved
+  async function sessionsForExport(all = false) {
+    if (all) {
+      const records = await getAllRecords('sessions')
+      return records.filter(session => belongsToProfile(session)).sort((a, b) => a.createdAt - b.createdAt)
+    }
+    const current = sessions.value.find(session => session.id === currentSessionId.value)
+    return [{
+      id: currentSessionId.value,
+      name: current?.name || defaultName(messageStore.messageHistory[0]?.time || Date.now()),
+      createdAt: current?.createdAt,
+      updatedAt: current?.updatedAt,
+      messages: messageStore.messageHistory.map(message => ({...message})),
+    }]
+  }
+
+  // Called before the conversation on screen is cleared for another profile, so clearing it doesn't count as
+  // deleting the messages. The session stays the old profile's current one for when it is next active.
+  function leaveSession() {
+    savedMessages = '[]'
+    currentSessionId.value = null
+  }
+
+  // Called once the conversation on screen has been cleared for a newly active profile
+  function loadProfileSessions() {
+    savedMessages = '[]'
+    sessions.value = []
+    currentSessionId.value = profileStorage.getItem('currentSessionId')
+    return restoreLastSession()
+  }
+
+  async function deleteProfileSessions(profileId) {
+    try {
+      const records = await getAllRecords('sessions')
+      await Promise.all(records.filter(session => belongsToProfile(session, profileId))
+        .map(session => deleteRecord('sessions', session.id)))
+    } catch (err) {
+      showError("Could not delete the profile's conversations", err)
+    }
+  }
+
+  restoreLastSession()
+
+  return {
+    sessions,
+    currentSessionId,
+    showSessionBrowser,
+    loadSessions,
+    resumeSession,
+    newSession,
+    renameSession,
+    deleteSession,
+    sessionsForExport,
+    leaveSession,
+    loadProfileSessions,
+    deleteProfileSessions,
+  }
+})
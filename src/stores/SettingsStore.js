@@ -1,57 +1,152 @@
 import {computed, ref, watch} from 'vue'
 import {defineStore} from 'pinia'
+import {defaultShortcuts} from "@/utils/keyboardShortcuts.js";
+import {DEFAULT_TEXT_GENERATOR} from "@/repositories/textGeneration/TextGenerator.js";
+import {DEFAULT_TTS_ENGINE} from "@/repositories/textToSpeech/TextToSpeechEngine.js";
+import {persistProfileJSON, profileStorage, readProfileJSON} from "@/utils/profileStorage.js";
+import {DEFAULT_LANGUAGE, whisperModelFor} from "@/utils/languages.js";
+
+// Model names saved before text generators were registered by id
+const legacyLLMModels = {
+  'OpenAI': 'openai',
+  '9b Model': 'webllm-gemma-2-9b',
+  '3b Model': 'webllm-gemma-2-2b',
+}
+
+// Whisper sizes offered in the settings; whisperModelFor maps each choice to a model for the language
+export const speechToTextModels = [
+  {text: 'Whisper Tiny (peak performance)', value: 'Choice 1'},
+  {text: 'Whisper Base (performance)', value: 'Choice 2'},
+  {text: 'Whisper Small (accuracy)', value: 'Choice 3'}
+]
+
+// When the interlocutor's speech is transcribed; 'live' shows partial text while they are still talking
+export const speechToTextModes = [
+  {text: 'When recording stops', value: 'on-stop'},
+  {text: 'Live, while they are talking', value: 'live'}
+]
+
+export const DEFAULT_SUGGESTION_COUNT = 4
 
 export const useSettingsStore = defineStore('settings', () => {
 
   const openAIAPIKey = ref(localStorage.getItem('openAIAPIKey') || '')
-  const context = ref(localStorage.getItem('context') || '')
-  const backstory = ref(localStorage.getItem('backstory') || '')
-  const voiceClips = ref([])
-  const selectedSTTModel = ref(localStorage.getItem('selectedSTTModel') || 'Choice 1'); // Default: Choice 1
-  const selectedLLMModel = ref(localStorage.getItem('selectedLLMModel') || 'OpenAI'); // Default: OpenAI
-  console.log("Selected STT Model: ", selectedSTTModel.value);
-  console.log("Selected LLM Model: ", selectedLLMModel.value);
-  try {
-    const storedClips = JSON.parse(localStorage.getItem('voiceClips'));
-    if (Array.isArray(storedClips) && storedClips.length > 0) {
-      voiceClips.value = storedClips;
-    } else {
-      voiceClips.value = []; // Ensure no empty or invalid item appears
-    }
-  } catch (error) {
-    console.error("Error parsing voiceClips from localStorage:", error);
-    voiceClips.value = []; // Reset on error
+  const customLLMBaseURL = ref(localStorage.getItem('customLLMBaseURL') || '')
+  const customLLMModel = ref(localStorage.getItem('customLLMModel') || '')
+  const customLLMAPIKey = ref(localStorage.getItem('customLLMAPIKey') || '')
+
+  const defaultSwitchScanning = {
+    enabled: false,
+    mode: 'row-column', // 'row-column' or 'linear'
+    switchCount: 1, // 1: auto-advance + select, 2: advance + select
+    autoAdvance: true, // only optional with two switches
+    interval: 1500, // ms each element stays highlighted
+    dwell: 0, // ms a switch must be held before it counts
+    selectKey: 'Space',
+    advanceKey: 'Enter',
+    selectButton: 0, // gamepad button indices
+    advanceButton: 1
   }
-  
 
-  function saveVoiceClips(clips) {
-    const clipNames = clips.map(clip => ({ name: clip.name })); // Store only names
-    localStorage.setItem('voiceClips', JSON.stringify(clipNames));
-    voiceClips.value = clips;
+  const defaultVoiceSettings = {
+    engine: DEFAULT_TTS_ENGINE,
+    webSpeechVoice: '', // voiceURI, empty for the browser's default
+    rate: 1,
+    pitch: 1,
+    volume: 1
   }
-  
 
-  function cloneVoice() {
-    if (voiceClips.value.length === 0) {
-      console.error("No voice clips uploaded");
-      return;
-    }
-    console.log("Cloning voice with clips: ", voiceClips.value);
-    alert("Voice cloning complete! ✅");
+  // Hands-free listening for the interlocutor, see utils/voiceActivity.js
+  const defaultContinuousListening = {
+    enabled: false,
+    threshold: -45, // dBFS that counts as speech
+    silenceDuration: 800 // ms of quiet that ends an utterance
+  }
 
+  // Everything below belongs to the active profile; loadProfileSettings fills it in
+  const context = ref('')
+  const backstory = ref('')
+  const selectedSTTModel = ref('Choice 1'); // Default: Choice 1
+  const speechToTextMode = ref('on-stop')
+  const separateSpeakers = ref(false)  // tell the people the user talks to apart by their voice
+  const suggestionCount = ref(DEFAULT_SUGGESTION_COUNT)  // sentence suggestions shown at once
+  const suggestionEmbeddings = ref(false)  // download a sentence embedding model to find near-duplicate suggestions
+  const learnFromChoices = ref(true)  // keep a usage log and personalise sentence suggestions from it
+  const language = ref(DEFAULT_LANGUAGE)
+  const selectedLLMModel = ref(DEFAULT_TEXT_GENERATOR);
+  const promptBudgets = ref({})  // text generator id -> tokens, where the user changed the default
+  const voiceSettings = ref({...defaultVoiceSettings})
+  const continuousListening = ref({...defaultContinuousListening})
+  const switchScanning = ref({...defaultSwitchScanning})
+  const keyboardShortcuts = ref({...defaultShortcuts})
+
+  function loadProfileSettings() {
+    context.value = profileStorage.getItem('context') || ''
+    backstory.value = profileStorage.getItem('backstory') || ''
+    selectedSTTModel.value = profileStorage.getItem('selectedSTTModel') || 'Choice 1'
+    speechToTextMode.value = profileStorage.getItem('speechToTextMode') || 'on-stop'
+    separateSpeakers.value = profileStorage.getItem('separateSpeakers') === 'true'
+    suggestionCount.value = Number(profileStorage.getItem('suggestionCount')) || DEFAULT_SUGGESTION_COUNT
+    suggestionEmbeddings.value = profileStorage.getItem('suggestionEmbeddings') === 'true'
+    learnFromChoices.value = profileStorage.getItem('learnFromChoices') !== 'false'
+    language.value = profileStorage.getItem('language') || DEFAULT_LANGUAGE
+    const storedLLMModel = profileStorage.getItem('selectedLLMModel')
+    selectedLLMModel.value = legacyLLMModels[storedLLMModel] || storedLLMModel || DEFAULT_TEXT_GENERATOR
+    promptBudgets.value = {...readProfileJSON('promptBudgets')}
+    voiceSettings.value = {...defaultVoiceSettings, ...readProfileJSON('voiceSettings')}
+    continuousListening.value = {...defaultContinuousListening, ...readProfileJSON('continuousListening')}
+    switchScanning.value = {...defaultSwitchScanning, ...readProfileJSON('switchScanning')}
+    keyboardShortcuts.value = {...defaultShortcuts, ...readProfileJSON('keyboardShortcuts')}
+    console.log("Selected STT Model: ", selectedSTTModel.value);
+    console.log("Selected LLM Model: ", selectedLLMModel.value);
   }
 
+  loadProfileSettings()
+
   function saveSelectedSTTModel(model) {
     selectedSTTModel.value = model;
-    localStorage.setItem('selectedSTTModel', model);
+    profileStorage.setItem('selectedSTTModel', model);
     window.location.reload(); // Reload the page to apply the new model
   }
 
+  // Suggestions and voices follow straight away; the speech-to-text model is only loaded on startup, so
+  // switching between English-only and multilingual Whisper reloads the page
+  function saveLanguage(code) {
+    const previousModel = whisperModelFor(selectedSTTModel.value, language.value)
+    language.value = code
+    profileStorage.setItem('language', code)
+    if (whisperModelFor(selectedSTTModel.value, code) !== previousModel) window.location.reload()
+  }
+
+  // MessageStore watches this and swaps provider, so no reload is needed
   function saveSelectedLLMModel(model) {
     selectedLLMModel.value = model;
-    localStorage.setItem('selectedLLMModel', model);
+    profileStorage.setItem('selectedLLMModel', model);
+  }
 
-    window.location.reload(); // Reload the page to apply the new model
+  persistProfileJSON('promptBudgets', promptBudgets)
+
+  // TextToSpeechRepository reads these for every utterance, so changes apply from the next one
+  persistProfileJSON('voiceSettings', voiceSettings)
+
+  watch(speechToTextMode, (mode) => profileStorage.setItem('speechToTextMode', mode))
+
+  watch(separateSpeakers, (enabled) => profileStorage.setItem('separateSpeakers', enabled.toString()))
+
+  watch(suggestionCount, (count) => profileStorage.setItem('suggestionCount', count.toString()))
+
+  watch(suggestionEmbeddings, (enabled) => profileStorage.setItem('suggestionEmbeddings', enabled.toString()))
+
+  watch(learnFromChoices, (enabled) => profileStorage.setItem('learnFromChoices', enabled.toString()))
+
+  persistProfileJSON('continuousListening', continuousListening)
+
+  persistProfileJSON('switchScanning', switchScanning)
+
+  persistProfileJSON('keyboardShortcuts', keyboardShortcuts)
+
+  function resetKeyboardShortcuts() {
+    keyboardShortcuts.value = {...defaultShortcuts}
   }
 
   const openAIAPIKeyIsValid = computed(() => {
@@ -90,15 +185,21 @@ senses pity.
     if (!(cookieAgreement.value && liabilityAgreement.value)) {
       showSettingsOverlay.value = true
       showSettingsWarning.value = true
-      return
+      return false
     }
     localStorage.setItem('openAIAPIKey', openAIAPIKey.value)
-    localStorage.setItem('context', context.value)
-    localStorage.setItem('backstory', backstory.value)
+    localStorage.setItem('customLLMBaseURL', customLLMBaseURL.value)
+    localStorage.setItem('customLLMModel', customLLMModel.value)
+    localStorage.setItem('customLLMAPIKey', customLLMAPIKey.value)
+    profileStorage.setItem('context', context.value)
+    profileStorage.setItem('backstory', backstory.value)
+    profileStorage.setItem('selectedSTTModel', selectedSTTModel.value)
+    profileStorage.setItem('language', language.value)
     localStorage.setItem('liabilityAgreement', liabilityAgreement.value.toString())
     localStorage.setItem('cookieAgreement', cookieAgreement.value.toString())
     showSettingsWarning.value = false
     console.log('settings saved')
+    return true
   }
 
   watch(context, async (newContext) => {
@@ -107,26 +208,42 @@ senses pity.
       showSettingsWarning.value = true
       return
     }
-    localStorage.setItem('context', newContext)
+    profileStorage.setItem('context', newContext)
   })
 
   const showSettingsOverlay = ref(!(liabilityAgreement.value && cookieAgreement.value))
   const showSettingsWarning = ref(false)
+  const showKeyboardHelp = ref(false)
 
   return {
     showSettingsOverlay,
     showSettingsWarning,
+    showKeyboardHelp,
     openAIAPIKey,
     openAIAPIKeyIsValid,
+    customLLMBaseURL,
+    customLLMModel,
+    customLLMAPIKey,
     context,
     backstory,
     selectedSTTModel,
     saveSelectedSTTModel,
+    speechToTextMode,
+    separateSpeakers,
+    suggestionCount,
+    suggestionEmbeddings,
+    learnFromChoices,
+    language,
+    saveLanguage,
     selectedLLMModel,
     saveSelectedLLMModel,
-    voiceClips,
-    saveVoiceClips,
-    cloneVoice,
+    promptBudgets,
+    voiceSettings,
+    continuousListening,
+    switchScanning,
+    keyboardShortcuts,
+    resetKeyboardShortcuts,
+    loadProfileSettings,
     exampleContext,
     exampleBackstory,
     liabilityAgreement,
@@ -0,0 +1,85 @@
+import {ref} from 'vue'
+import {defineStore} from 'pinia'
+import {persistProfileJSON, readProfileJSON} from "@/utils/profileStorage.js";
+import {closestSpeaker, updateCentroid} from "@/utils/speakerMatching.js";
+import {useMessageStore} from "@/stores/MessageStore.js";
+import {createId} from "@/utils/ids.js";
+
+// How alike two x-vectors must be to count as the same person. Lower merges people, higher splits one
+// person into several. 0.86 is the usual cut-off for wavlm-base-plus-sv; family members' voices are often
+// closer than 0.75, so going much lower merges them.
+const MATCH_THRESHOLD = 0.86
+// Bubble colours for the people the user talks to, picked in turn
+const SPEAKER_COLOURS = ['#cbbecc', '#b5d3e7', '#f2d6a2', '#c6e2c0', '#f0bcbc', '#d9c8ef']
+
+// The people the active profile talks to, told apart by their voice when speaker separation is on
+export const useSpeakerStore = defineStore('speakers', () => {
+  const speakers = ref([])  // [{id, name, colour, embedding: [number], samples}]
+
+  function loadSpeakers() {
+    const stored = readProfileJSON('speakers')
+    speakers.value = Array.isArray(stored) ? stored : []
+  }
+
+  loadSpeakers()
+
+  persistProfileJSON('speakers', speakers)
+
+  function getSpeaker(id) {
+    return speakers.value.find(speaker => speaker.id === id)
+  }
+
+  function nextColour() {
+    const used = speakers.value.map(speaker => speaker.colour)
+    return SPEAKER_COLOURS.find(colour => !used.includes(colour)) || SPEAKER_COLOURS[speakers.value.length % SPEAKER_COLOURS.length]
+  }
+
+  // The speaker whose voice this is, learning a little more about them, or someone new
+  function identify(embedding) {
+    const vector = Array.from(embedding)
+    const speaker = closestSpeaker(vector, speakers.value, MATCH_THRESHOLD)
+    if (speaker) {
+      speaker.embedding = updateCentroid(speaker.embedding, vector, speaker.samples)
+      speaker.samples++
+      return speaker
+    }
+    const newSpeaker = {
+      id: createId(),
+      name: `Speaker ${speakers.value.length + 1}`,
+      colour: nextColour(),
+      embedding: vector,
+      samples: 1
+    }
+    speakers.value.push(newSpeaker)
+    return newSpeaker
+  }
+
+  // Messages keep the name they were said under, so the ones in the current conversation are renamed too,
+  // even if the speaker has since been forgotten
+  function renameSpeaker(id, name) {
+    if (!name.trim()) return
+    const speaker = getSpeaker(id)
+    if (speaker) speaker.name = name.trim()
+    useMessageStore().messageHistory
+      .filter(message => message.speakerId === id)
+      .forEach(message => message.speaker = name.trim())
+  }
+
+  function removeSpeaker(id) {
+    speakers.value = speakers.value.filter(speaker => speaker.id !== id)
+  }
+
+  function forgetSpeakers() {
+    speakers.value = []
+  }
+
+  return {
+    speakers,
+    getSpeaker,
+    identify,
+    renameSpeaker,
+    removeSpeaker,
+    forgetSpeakers,
+    loadSpeakers,
+  }
+})
@@ -0,0 +1,17 @@
+import {ref} from 'vue'
+import {defineStore} from 'pinia'
+
+// What the text to speech service is doing, for the stop and replay controls
+export const useSpeechStore = defineStore('speech', () => {
+  const speaking = ref(false)  // true from the moment something is queued until the queue is empty
+  const currentText = ref(null)  // the utterance being synthesised or played
+  const queued = ref(0)  // utterances waiting behind the current one
+  const lastSpoken = ref(null)
+
+  return {
+    speaking,
+    currentText,
+    queued,
+    lastSpoken,
+  }
+})
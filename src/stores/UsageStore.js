@@ -0,0 +1,93 @@
+import {computed, ref} from 'vue'
+import {defineStore} from 'pinia'
+import {persistProfileJSON, readProfileJSON} from "@/utils/profileStorage.js";
+import {pickExamples, preferenceScore} from "@/utils/personalisation.js";
+import {useSettingsStore} from "@/stores/SettingsStore.js";
+
+const MAX_ENTRIES = 1000  // oldest are forgotten first
+const EXAMPLE_COUNT = 4
+
+// What the user did with the suggestions they were given, kept on this device for the active profile only:
+// {type: 'sentence', chosen, shown, context, source}, {type: 'words', words} or {type: 'hint', hint, response},
+// each with the time it happened. Sentence suggestions are personalised from it.
+export const useUsageStore = defineStore('usage', () => {
+  const settingStore = useSettingsStore()
+  const usageLog = ref([])
+
+  function loadUsageLog() {
+    const stored = readProfileJSON('usageLog')
+    usageLog.value = Array.isArray(stored) ? stored : []
+  }
+
+  loadUsageLog()
+
+  persistProfileJSON('usageLog', usageLog)
+
+  function record(entry) {
+    if (!settingStore.learnFromChoices) return
+    usageLog.value.push({...entry, time: Date.now()})
+    if (usageLog.value.length > MAX_ENTRIES) usageLog.value.splice(0, usageLog.value.length - MAX_ENTRIES)
+  }
+
+  // source is 'suggestion' when it was one of those shown, otherwise 'typed' or 'phrasebook'
+  function recordSentence(chosen, shown, context, source) {
+    record({type: 'sentence', chosen, shown: [...shown], context, source})
+  }
+
+  function recordWords(words) {
+    record({type: 'words', words: [...words]})
+  }
+
+  // response is the suggestion the hint was about, if it was for one in particular
+  function recordHint(hint, response = null) {
+    record({type: 'hint', hint, response})
+  }
+
+  // e.g. when a send is undone
+  function forgetSentence(chosen) {
+    const index = usageLog.value.findLastIndex(entry => entry.type === 'sentence' && entry.chosen === chosen)
+    if (index !== -1) usageLog.value.splice(index, 1)
+  }
+
+  function removeEntry(index) {
+    usageLog.value.splice(index, 1)
+  }
+
+  function clearUsageLog() {
+    usageLog.value = []
+  }
+
+  const counts = computed(() => usageLog.value.reduce((counts, entry) => {
+    counts[entry.type] = (counts[entry.type] || 0) + 1
+    return counts
+  }, {sentence: 0, words: 0, hint: 0}))
+
+  // Things the user chose to say before, as lines for the sentence prompts; '' when there are none to give
+  function examplesForPrompt(context) {
+    if (!settingStore.learnFromChoices) return ''
+    return pickExamples(usageLog.value, context, EXAMPLE_COUNT)
+      .map(example => example.context
+        ? `- When the interlocutor said "${example.context}", the user chose "${example.chosen}"`
+        : `- The user chose "${example.chosen}"`)
+      .join('\n')
+  }
+
+  // How much each suggestion looks like what the user tends to choose, for ranking them
+  function personalScores(suggestions) {
+    return settingStore.learnFromChoices ? suggestions.map(suggestion => preferenceScore(suggestion, usageLog.value)) : []
+  }
+
+  return {
+    usageLog,
+    counts,
+    recordSentence,
+    recordWords,
+    recordHint,
+    forgetSentence,
+    removeEntry,
+    clearUsageLog,
+    examplesForPrompt,
+    personalScores,
+    loadUsageLog,
+  }
+})
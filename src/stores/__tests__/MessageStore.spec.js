@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+
+import { useMessageStore } from '../MessageStore.js'
+import { usePromptStore } from '../PromptStore.js'
+import { useUsageStore } from '../UsageStore.js'
+
+// A text generator that counts a token per character, so budgets are easy to reason about
+const stub = vi.hoisted(() => ({ budget: 300, generator: null }))
+
+vi.mock('@/repositories/textGeneration/index.js', () => ({
+  createTextGenerator: () => stub.generator,
+  promptBudgetFor: () => stub.budget,
+}))
+
+vi.mock('@/repositories/TextToSpeechRepository.js', () => ({
+  default: vi.fn(),
+  stopSpeaking: vi.fn(),
+}))
+
+const settle = () => new Promise(resolve => setTimeout(resolve))
+
+// Summaries that wait to be finished (or fail like a provider does when its signal is aborted)
+function pendingSummaries() {
+  const pending = []
+  stub.generator.complete.mockImplementation((messages, { signal }) => new Promise((resolve, reject) => {
+    pending.push({ resolve, signal })
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+  }))
+  return pending
+}
+
+let store
+
+// what the last suggestion request sent, from the templates below
+const lastPrompt = () => stub.generator.getResponse.mock.calls.at(-1)[0][1].content
+
+function converse(count) {
+  for (let i = 0; i < count; i++) store.addMessage(i % 2 ? 'assistant' : 'user', `Message ${i}`.padEnd(30, '.'))
+}
+
+beforeEach(() => {
+  localStorage.clear()
+  setActivePinia(createPinia())
+  stub.budget = 300
+  let summaries = 0
+  stub.generator = {
+    countTokens: (text) => text.length,
+    getResponse: vi.fn(async () => ['Yes please']),
+    complete: vi.fn(async () => `{"summary": "Summary ${++summaries}"}`),
+    dispose: vi.fn(async () => {}),
+  }
+  const promptStore = usePromptStore()
+  promptStore.saveTemplate('sentencesSystem', 'S')
+  promptStore.saveTemplate('replySentences', 'History: {{history}}\nEdits: {{editHistory}}')
+  promptStore.saveTemplate('summary', '{{summary}} {{history}}')
+  store = useMessageStore()
+})
+
+describe('MessageStore prompt budget', () => {
+  it('summarises the turns that no longer fit and sends the summary in their place', async () => {
+    converse(8)
+    await store.generateSuggestions('replySentences')
+    expect(lastPrompt()).not.toContain('Message 0')
+    expect(lastPrompt()).toContain('Message 7')
+    await settle()
+    const summary = store.conversationSummary.text
+    expect(summary).toMatch(/^Summary \d$/)
+
+    await store.generateSuggestions('replySentences', { hint: 'again' })
+    expect(lastPrompt()).toContain(`Summary of the earlier conversation: ${summary}`)
+    expect(lastPrompt()).not.toContain('Message 0')
+  })
+
+  it('leaves out a summary once a turn it covers has been edited', async () => {
+    converse(8)
+    await store.generateSuggestions('replySentences')
+    await settle()
+    const summary = store.conversationSummary.text
+    expect(summary).not.toBe('')
+
+    store.editMessage(0, 'Something else entirely')
+    await store.generateSuggestions('replySentences', { hint: 'again' })
+    expect(lastPrompt()).not.toContain(summary)
+  })
+
+  it('does not keep a summary of turns that were edited while it was written', async () => {
+    const pending = pendingSummaries()
+    converse(8)
+    await store.generateSuggestions('replySentences')
+    expect(pending).toHaveLength(1)
+
+    store.editMessage(0, 'Something else entirely')
+    pending[0].resolve('{"summary": "Out of date"}')
+    await settle()
+    expect(store.conversationSummary.text).toBe('')
+  })
+
+  it('keeps the latest turns when the fixed prompt is bigger than the budget', async () => {
+    stub.budget = 10
+    converse(6)
+    store.activeEditHistory = [{ role: 'system', content: 'Shorter' }, { role: 'assistant', content: '["Yes"]' }]
+    await store.generateSuggestions('replySentences')
+    expect(lastPrompt()).toContain('Message 4')
+    expect(lastPrompt()).toContain('Message 5')
+    expect(lastPrompt()).not.toContain('Message 3')
+    expect(lastPrompt()).toMatch(/Edits: $/)
+  })
+
+  it('stops summarising when new suggestions are asked for, and starts again after', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const pending = pendingSummaries()
+    converse(8)
+    await store.generateSuggestions('replySentences')
+    expect(pending).toHaveLength(1)
+
+    await store.generateSuggestions('replySentences', { hint: 'again' })
+    expect(pending[0].signal.aborted).toBe(true)
+    await settle()
+    expect(store.conversationSummary.text).toBe('')
+    expect(warn).not.toHaveBeenCalled()
+    expect(pending).toHaveLength(2)
+    expect(pending[1].signal.aborted).toBe(false)
+    warn.mockRestore()
+  })
+})
+
+describe('MessageStore sentence suggestions', () => {
+  // streams `suggestions` in, like a provider that can stream
+  function streamed(suggestions) {
+    stub.generator.getResponse.mockImplementation(async (messages, { onSuggestion }) => {
+      suggestions.forEach(suggestion => onSuggestion(suggestion))
+      return suggestions
+    })
+  }
+
+  it('puts a phrasing the user often chooses ahead of one they always pass over', async () => {
+    const usageStore = useUsageStore()
+    for (let i = 0; i < 3; i++) {
+      usageStore.recordSentence('Go on then, cheers', ['Yes please', 'Go on then, cheers'], 'Want a tea?', 'suggestion')
+    }
+    store.addMessage('user', 'Want a tea?')
+    streamed(['Yes please', 'No thank you', 'Maybe later', 'Go on then, cheers'])
+    await store.generateSuggestions('replySentences')
+    const shown = store.sentenceSuggestions
+    expect(shown[0]).toBe('Go on then, cheers')
+    expect(shown.indexOf('Go on then, cheers')).toBeLessThan(shown.indexOf('Yes please'))
+  })
+})
@@ -0,0 +1,17 @@
+import { afterEach, describe, it, expect, vi } from 'vitest'
+
+import { createId } from '../ids.js'
+
+const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+
+describe('createId', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('makes version 4 UUIDs without randomUUID, as on plain http', () => {
+    const secure = window.crypto
+    vi.stubGlobal('crypto', { getRandomValues: (bytes) => secure.getRandomValues(bytes) })
+    const ids = [createId(), createId()]
+    ids.forEach(id => expect(id).toMatch(uuid))
+    expect(ids[0]).not.toBe(ids[1])
+  })
+})
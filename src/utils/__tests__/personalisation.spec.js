@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+
+import { pickExamples, preferenceScore, similarity } from '../personalisation.js'
+
+const log = [
+  { type: 'sentence', time: 1, context: 'Do you want a tea?', chosen: 'Yes please, milk no sugar',
+    shown: ['Yes please, milk no sugar', 'No thank you', 'Maybe later'] },
+  { type: 'words', time: 2, words: ['tired'] },
+  { type: 'sentence', time: 3, context: 'How was the match?', chosen: 'Brilliant, we won',
+    shown: ['Brilliant, we won', 'Not great', 'I missed it'] },
+  { type: 'sentence', time: 4, context: 'Fancy a coffee?', chosen: 'Yes please, black',
+    shown: ['Yes please, black', 'No thank you'] }
+]
+
+describe('similarity', () => {
+  it('measures word overlap', () => {
+    expect(similarity('yes please', 'Yes, please!')).toBe(1)
+    expect(similarity('yes please', 'no thanks')).toBe(0)
+    expect(similarity('', 'anything')).toBe(0)
+  })
+})
+
+describe('pickExamples', () => {
+  it('prefers choices made in a similar context and keeps them in order', () => {
+    expect(pickExamples(log, 'Do you want a coffee?', 2)).toEqual([
+      { context: 'Do you want a tea?', chosen: 'Yes please, milk no sugar' },
+      { context: 'Fancy a coffee?', chosen: 'Yes please, black' }
+    ])
+  })
+
+  it('falls back to the most recent choices', () => {
+    expect(pickExamples(log, 'Something else entirely', 1)).toEqual([
+      { context: 'Fancy a coffee?', chosen: 'Yes please, black' }
+    ])
+  })
+})
+
+describe('preferenceScore', () => {
+  it('favours suggestions like past choices over ones like passed over suggestions', () => {
+    const [yes, unsure, no] = ['Yes please', 'Not sure', 'No thank you'].map(text => preferenceScore(text, log))
+    expect(yes).toBeGreaterThan(unsure)
+    expect(unsure).toBeGreaterThan(no)
+  })
+
+  it('is neutral when nothing has been chosen yet', () => {
+    expect(preferenceScore('Yes please', [])).toBe(0)
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+
+import { estimateTokens, parseSummary, recentTurnsStart, trimEditHistory } from '../promptBudget.js'
+
+// one token per character keeps the arithmetic readable
+const countCharacters = (text) => text.length
+const message = (content) => ({ role: 'user', content })
+const size = (content) => JSON.stringify(message(content)).length
+
+describe('estimateTokens', () => {
+  it('counts words and punctuation', () => {
+    expect(estimateTokens('')).toBe(0)
+    expect(estimateTokens('Hello there, friend!')).toBe(6)
+  })
+})
+
+describe('recentTurnsStart', () => {
+  const messages = ['one', 'two', 'three', 'four'].map(message)
+
+  it('keeps everything when it fits', () => {
+    expect(recentTurnsStart(messages, 1000, countCharacters)).toBe(0)
+  })
+
+  it('keeps the latest messages that fit', () => {
+    expect(recentTurnsStart(messages, size('three') + size('four'), countCharacters)).toBe(2)
+  })
+
+  it('always keeps the minimum number of messages', () => {
+    expect(recentTurnsStart(messages, 1, countCharacters, 2)).toBe(2)
+  })
+})
+
+describe('trimEditHistory', () => {
+  const history = [
+    { role: 'system', content: 'a' }, { role: 'assistant', content: 'b' },
+    { role: 'system', content: 'c' }, { role: 'assistant', content: 'd' }
+  ]
+  const pairSize = JSON.stringify(history[0]).length + JSON.stringify(history[1]).length
+
+  it('keeps the newest pairs that fit', () => {
+    expect(trimEditHistory(history, pairSize, countCharacters)).toEqual(history.slice(2))
+    expect(trimEditHistory(history, pairSize * 2, countCharacters)).toEqual(history)
+    expect(trimEditHistory(history, 1, countCharacters)).toEqual([])
+  })
+})
+
+describe('parseSummary', () => {
+  it('reads the summary from JSON', () => {
+    expect(parseSummary('Sure! {"summary": "They talked about tea."}')).toBe('They talked about tea.')
+  })
+
+  it('falls back to the text', () => {
+    expect(parseSummary('```\nThey talked about tea.\n```')).toBe('They talked about tea.')
+  })
+})
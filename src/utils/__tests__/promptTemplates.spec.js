@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+
+import { promptTemplates, renderTemplate, suggestionKinds, unknownVariables } from '../promptTemplates.js'
+
+describe('renderTemplate', () => {
+  it('fills in variables', () => {
+    expect(renderTemplate('Hint: {{hint}}, {{count}} please', { hint: 'tea', count: 3 })).toBe('Hint: tea, 3 please')
+  })
+
+  it('leaves unknown and missing variables blank', () => {
+    expect(renderTemplate('[{{nothing}}]', {})).toBe('[]')
+  })
+
+  it('only keeps sections whose variable has a value', () => {
+    const template = 'A{{#context}} ({{context}}){{/context}}B'
+    expect(renderTemplate(template, { context: 'at home' })).toBe('A (at home)B')
+    expect(renderTemplate(template, { context: '' })).toBe('AB')
+  })
+
+  it('does not expand variables inside values', () => {
+    expect(renderTemplate('{{hint}}', { hint: '{{backstory}}', backstory: 'secret' })).toBe('{{backstory}}')
+  })
+})
+
+describe('prompt templates', () => {
+  it('only use known variables', () => {
+    Object.values(promptTemplates).forEach(template => expect(unknownVariables(template.text)).toEqual([]))
+  })
+
+  it('reports unknown variables once', () => {
+    expect(unknownVariables('{{hint}} {{hnit}} {{#hnit}}{{/hnit}}')).toEqual(['hnit'])
+  })
+
+  it('has a template for every suggestion kind and its system prompt', () => {
+    Object.entries(suggestionKinds).forEach(([kind, { system }]) => {
+      expect(promptTemplates[kind]).toBeDefined()
+      expect(promptTemplates[system]).toBeDefined()
+    })
+  })
+})
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+
+import { closestSpeaker, cosineSimilarity, speakerTurns, updateCentroid } from '../speakerMatching.js'
+
+describe('speakerTurns', () => {
+  it('drops silence and overlapping speech', () => {
+    const segments = [
+      { id: 0, start: 0, end: 1 },
+      { id: 1, start: 1, end: 3 },
+      { id: 4, start: 3, end: 4 },
+      { id: 2, start: 4, end: 6 }
+    ]
+    expect(speakerTurns(segments)).toEqual([
+      { speaker: 1, start: 1, end: 3 },
+      { speaker: 2, start: 4, end: 6 }
+    ])
+  })
+
+  it('joins consecutive turns by the same speaker across pauses', () => {
+    const segments = [
+      { id: 1, start: 0, end: 2 },
+      { id: 0, start: 2, end: 2.5 },
+      { id: 1, start: 2.5, end: 4 }
+    ]
+    expect(speakerTurns(segments)).toEqual([{ speaker: 1, start: 0, end: 4 }])
+  })
+
+  it('folds speakers heard too briefly into the turn before', () => {
+    const segments = [
+      { id: 1, start: 0, end: 2 },
+      { id: 3, start: 2, end: 2.5 },
+      { id: 2, start: 2.5, end: 5 }
+    ]
+    expect(speakerTurns(segments)).toEqual([
+      { speaker: 1, start: 0, end: 2.5 },
+      { speaker: 2, start: 2.5, end: 5 }
+    ])
+  })
+
+  it('returns nothing when no one spoke for long enough', () => {
+    expect(speakerTurns([{ id: 1, start: 0, end: 0.5 }])).toEqual([])
+  })
+})
+
+describe('speaker matching', () => {
+  const lucy = { name: 'Lucy', embedding: [1, 0, 0] }
+  const abby = { name: 'Abby', embedding: [0, 1, 0] }
+
+  it('measures cosine similarity', () => {
+    expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1)
+    expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0)
+  })
+
+  it('finds the closest speaker above the threshold', () => {
+    expect(closestSpeaker([0.9, 0.1, 0], [lucy, abby], 0.8)).toBe(lucy)
+    expect(closestSpeaker([0.5, 0.5, 0.7], [lucy, abby], 0.8)).toBeNull()
+  })
+
+  it('averages new embeddings into a centroid', () => {
+    expect(updateCentroid([1, 0], [0, 1], 1)).toEqual([0.5, 0.5])
+  })
+})
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest'
+
+import { createSuggestionPicker, lengthBand, polarity } from '../suggestionRanking.js'
+
+describe('polarity', () => {
+  it('reads yes, no and neutral from the start of a sentence', () => {
+    expect(polarity("Yes, I'd love that")).toBe('yes')
+    expect(polarity('Oh go on then')).toBe('neutral')
+    expect(polarity('Go on then')).toBe('yes')
+    expect(polarity('No thanks')).toBe('no')
+    expect(polarity('I don’t think so')).toBe('no')
+    expect(polarity('Not sure yet')).toBe('neutral')
+    expect(polarity('Maybe later')).toBe('neutral')
+  })
+})
+
+describe('lengthBand', () => {
+  it('groups sentences by word count', () => {
+    expect(lengthBand('No thanks')).toBe('short')
+    expect(lengthBand('I would like a cup of tea')).toBe('medium')
+    expect(lengthBand('I would like a cup of tea with milk and no sugar please')).toBe('long')
+  })
+})
+
+// Adds the suggestions one at a time, as they stream in, and returns what was shown after each and at the end
+async function pick(suggestions, options) {
+  const picker = createSuggestionPicker(options)
+  const steps = []
+  for (const suggestion of suggestions) steps.push(await picker.add(suggestion))
+  return {steps, final: await picker.finish(suggestions)}
+}
+
+describe('createSuggestionPicker', () => {
+  it('drops suggestions whose embeddings say the same thing', async () => {
+    const vectors = { "Yes, I'd love that": [1, 0], "Yes, I'd love to": [0.99, 0.1], 'No thanks': [0, 1] }
+    const embed = async (texts) => texts.map(text => vectors[text] || [0, 0])
+    const { final } = await pick(Object.keys(vectors), { count: 3, embed })
+    expect(final).toEqual(["Yes, I'd love that", 'No thanks'])
+  })
+
+  it('falls back to word overlap without embeddings', async () => {
+    const { final } = await pick(['Yes I would love that', 'Yes I would love that!', 'Maybe another time'], { count: 3 })
+    expect(final).toEqual(['Yes I would love that', 'Maybe another time'])
+  })
+
+  it('only ever adds to the end of what is shown', async () => {
+    const suggestions = ['Yes please', 'Yes, sounds good', 'Sure, why not', 'No thank you', 'Maybe later',
+      'Yes, that would be lovely, thank you so much for asking me']
+    const { steps, final } = await pick(suggestions, { count: 4 })
+    steps.concat([final]).reduce((before, after) => {
+      expect(after.slice(0, before.length)).toEqual(before)
+      return after
+    }, [])
+    expect(steps.slice(0, 3)).toEqual([[], [], []])
+    expect(steps[3]).toEqual(['Yes please', 'Yes, sounds good'])
+  })
+
+  it('keeps a spread of polarity and length when there are more suggestions than room', async () => {
+    const suggestions = ['Yes please', 'Yes, sounds good', 'Sure, why not', 'No thank you', 'Maybe later']
+    expect((await pick(suggestions, { count: 4 })).final)
+      .toEqual(['Yes please', 'Yes, sounds good', 'No thank you', 'Maybe later'])
+    const long = 'Yes, that would be lovely, thank you so much for asking me'
+    expect((await pick(['Yes please', 'Yes, sounds good', 'Sure, why not', long, 'Of course'], { count: 3 })).final)
+      .toEqual(['Yes please', long, 'Yes, sounds good'])
+  })
+
+  it('chooses by relevance and personal history as well as the model order', async () => {
+    const vectors = { 'It was fine': [1, 0, 0], 'Not today': [0.5, 0.5, 0.5], 'Rugby was great today': [0, 1, 0],
+      'I am tired': [0, 0, 1], rugby: [0, 1, 0] }
+    const embed = async (texts) => texts.map(text => vectors[text])
+    const suggestions = ['It was fine', 'Not today', 'Rugby was great today', 'I am tired']
+    expect((await pick(suggestions, { count: 3, embed, query: 'rugby' })).final[0]).toBe('Rugby was great today')
+    const personalScore = (text) => text === 'I am tired' ? 1 : 0
+    expect((await pick(suggestions, { count: 3, personalScore })).final[2]).toBe('I am tired')
+  })
+
+  it('gives a reserved slot to a late suggestion that scores better than an early one', async () => {
+    const suggestions = ['It was fine', 'Pretty good', 'All good thanks', 'Rugby was great today']
+    const personalScore = (text) => text === 'Rugby was great today' ? 1 : 0
+    const { steps, final } = await pick(suggestions, { count: 3, expected: 6, personalScore })
+    expect(steps.slice(0, 3)).toEqual([[], [], ['It was fine']])
+    expect(steps[3]).toEqual(['It was fine', 'Rugby was great today'])
+    expect(final).toEqual(['It was fine', 'Rugby was great today', 'Pretty good'])
+  })
+
+  it('shows the best of the first few first, whatever order they streamed in', async () => {
+    const personalScore = (text) => text === 'All good thanks' ? 1 : 0
+    const { steps } = await pick(['It was fine', 'Pretty good', 'All good thanks'], { count: 3, personalScore })
+    expect(steps[2]).toEqual(['All good thanks'])
+  })
+
+  it('orders everything by score when nothing streamed in', async () => {
+    const picker = createSuggestionPicker({ count: 3, personalScore: (text) => text === 'Maybe later' ? 1 : 0 })
+    expect(await picker.finish(['Yes please', 'No thanks', 'Maybe later']))
+      .toEqual(['Maybe later', 'Yes please', 'No thanks'])
+  })
+
+  it('adds the suggestions that never streamed in when it finishes', async () => {
+    const picker = createSuggestionPicker({ count: 2 })
+    expect(await picker.finish(['Yes please', 'No thanks', 'Maybe'])).toEqual(['Yes please', 'No thanks'])
+  })
+})
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+
+import { VoiceActivityDetector, frameLevel } from '../voiceActivity.js'
+
+const FRAME = 160  // 10ms at 16kHz
+
+function tone(amplitude) {
+  return Float32Array.from({ length: FRAME }, (_, i) => amplitude * Math.sin(i / 3))
+}
+
+function run(frames, options = {}) {
+  const events = []
+  const detector = new VoiceActivityDetector(options, {
+    onSpeechStart: () => events.push('start'),
+    onSegment: (audio) => events.push(audio.length)
+  })
+  frames.forEach((frame) => detector.process(frame))
+  return { events, detector }
+}
+
+function repeat(frame, ms) {
+  return Array.from({ length: ms / 10 }, () => frame)
+}
+
+const quiet = tone(0.0005)
+const loud = tone(0.3)
+
+describe('VoiceActivityDetector', () => {
+  it('measures frame levels in dBFS', () => {
+    expect(frameLevel(new Float32Array(FRAME).fill(1))).toBeCloseTo(0)
+    expect(frameLevel(new Float32Array(FRAME))).toBeLessThan(-150)
+  })
+
+  it('emits one segment per utterance, with the pre-roll, once the silence is long enough', () => {
+    const { events } = run([...repeat(quiet, 1000), ...repeat(loud, 500), ...repeat(quiet, 800)])
+    expect(events[0]).toBe('start')
+    // speech, pre-roll and trailing silence, give or take a frame
+    expect(Math.abs(events[1] - (500 + 300 + 800) * 16)).toBeLessThanOrEqual(FRAME)
+    expect(events).toHaveLength(2)
+  })
+
+  it('ignores bursts shorter than the minimum speech duration', () => {
+    const { events } = run([...repeat(quiet, 500), ...repeat(loud, 100), ...repeat(quiet, 1000)])
+    expect(events).toEqual([])
+  })
+
+  it('keeps short pauses inside one utterance', () => {
+    const { events } = run([...repeat(loud, 400), ...repeat(quiet, 400), ...repeat(loud, 400), ...repeat(quiet, 800)])
+    expect(events.filter((event) => event === 'start')).toHaveLength(1)
+    expect(events).toHaveLength(2)
+  })
+
+  it('splits utterances longer than the maximum duration', () => {
+    const { events } = run(repeat(loud, 2000), { maxSegmentDuration: 1000 })
+    expect(events.filter((event) => typeof event === 'number')).toEqual([16000, 16000])
+  })
+
+  it('drops what it has heard when reset', () => {
+    const { events, detector } = run(repeat(loud, 500))
+    detector.reset()
+    detector.flush()
+    expect(events).toEqual(['start'])
+  })
+})
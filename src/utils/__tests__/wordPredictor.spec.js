@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+
+import { WordPredictor, tokenise } from '../wordPredictor.js'
+
+describe('tokenise', () => {
+  it('lower cases words and keeps apostrophes', () => {
+    expect(tokenise("I’m fine, DON'T worry!")).toEqual(["i'm", 'fine', "don't", 'worry'])
+  })
+})
+
+describe('WordPredictor', () => {
+  const predictor = new WordPredictor()
+  predictor.learn('I would like a cup of tea. I would like a biscuit. I am tired.')
+  predictor.learn('Could I have a cup of coffee', 3)
+
+  it('predicts the next word from the words before', () => {
+    expect(predictor.predict(['cup', 'of'], { limit: 2 })).toEqual(['coffee', 'tea'])
+    expect(predictor.predict(['i'], { limit: 2 })).toEqual(['would', 'am'])
+  })
+
+  it('predicts how sentences start', () => {
+    expect(predictor.predict([], { limit: 1 })).toEqual(['i'])
+  })
+
+  it('completes a partly typed word', () => {
+    expect(predictor.predict(['a'], { prefix: 'bi' })).toEqual(['biscuit'])
+  })
+
+  it('backs off to shorter contexts for unseen ones', () => {
+    expect(predictor.predict(['lovely', 'cup'], { limit: 1 })).toEqual(['of'])
+  })
+
+  it('leaves out excluded words', () => {
+    expect(predictor.predict(['cup', 'of'], { exclude: ['Coffee'] })).not.toContain('coffee')
+  })
+
+  it('knows words learnt without context', () => {
+    const starter = new WordPredictor()
+    starter.learnWords(['hungry', 'weather'])
+    expect(starter.predict([], { prefix: 'w' })).toEqual(['weather'])
+  })
+})
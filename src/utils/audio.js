@@ -0,0 +1,63 @@
+export const WHISPER_WINDOW_SECONDS = 25  // Whisper hears 30 seconds at most, so longer audio is split
+
+// Decode recorded or uploaded audio into mono samples at the rate speech models expect
+export async function decodeAudio(blob, sampleRate = 16000) {
+  const context = new AudioContext({sampleRate})
+  try {
+    const audioBuffer = await context.decodeAudioData(await blob.arrayBuffer())
+    if (audioBuffer.numberOfChannels === 1) return audioBuffer.getChannelData(0)
+    // average the channels, as transformers.js does for stereo files
+    const mono = new Float32Array(audioBuffer.length)
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      audioBuffer.getChannelData(channel).forEach((sample, i) => mono[i] += sample / audioBuffer.numberOfChannels)
+    }
+    return mono
+  } finally {
+    context.close()
+  }
+}
+
+// Mean download progress (0-100) across every file transformers.js reports on
+export function trackDownloadProgress(onProgress) {
+  const files = {}
+  return (info) => {
+    if (info.status !== 'progress') return
+    files[info.file] = info.progress
+    const values = Object.values(files)
+    onProgress(values.reduce((total, value) => total + value, 0) / values.length)
+  }
+}
+
+let audioContext = null
+
+// One AudioContext for all playback; browsers limit how many a page can have open
+export function getAudioContext() {
+  if (!audioContext) audioContext = new AudioContext()
+  // browsers start the context suspended until there has been a user gesture
+  if (audioContext.state === 'suspended') audioContext.resume()
+  return audioContext
+}
+
+// Linear interpolation is plenty for speech heading to a 16kHz model
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples
+  const ratio = fromRate / toRate
+  const output = new Float32Array(Math.floor(samples.length / ratio))
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio
+    const index = Math.floor(position)
+    const next = Math.min(index + 1, samples.length - 1)
+    output[i] = samples[index] + (samples[next] - samples[index]) * (position - index)
+  }
+  return output
+}
+
+export function concatSamples(chunks) {
+  const samples = new Float32Array(chunks.reduce((total, chunk) => total + chunk.length, 0))
+  let offset = 0
+  for (const chunk of chunks) {
+    samples.set(chunk, offset)
+    offset += chunk.length
+  }
+  return samples
+}
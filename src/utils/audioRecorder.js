@@ -0,0 +1,77 @@
+const CLIPPING_LEVEL = 0.99  // samples this close to full scale are treated as clipped
+
+/**
+ * Records from the microphone with MediaRecorder while reporting the input level, for recordings the user
+ * needs feedback on (e.g. voice banking). onLevel is called every animation frame with
+ * {rms, peak, clipping} where rms and peak are 0-1.
+ */
+export class AudioRecorder {
+  constructor({onLevel = () => {}} = {}) {
+    this.onLevel = onLevel
+    this.stream = null
+    this.mediaRecorder = null
+    this.context = null
+    this.frame = null
+    this.chunks = []
+    this.clipped = false  // true if any part of the take clipped
+  }
+
+  async start() {
+    this.stream = await navigator.mediaDevices.getUserMedia({audio: true})
+    this.chunks = []
+    this.clipped = false
+    this.mediaRecorder = new MediaRecorder(this.stream)
+    this.mediaRecorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data)
+    }
+    this.mediaRecorder.start()
+    this.startMeter()
+  }
+
+  startMeter() {
+    this.context = new AudioContext()
+    const analyser = this.context.createAnalyser()
+    analyser.fftSize = 2048
+    this.context.createMediaStreamSource(this.stream).connect(analyser)
+    const samples = new Float32Array(analyser.fftSize)
+    const measure = () => {
+      analyser.getFloatTimeDomainData(samples)
+      let sum = 0
+      let peak = 0
+      for (const sample of samples) {
+        sum += sample * sample
+        peak = Math.max(peak, Math.abs(sample))
+      }
+      const clipping = peak >= CLIPPING_LEVEL
+      this.clipped = this.clipped || clipping
+      this.onLevel({rms: Math.sqrt(sum / samples.length), peak, clipping})
+      this.frame = requestAnimationFrame(measure)
+    }
+    measure()
+  }
+
+  // Resolves to the recording as a Blob
+  stop() {
+    return new Promise((resolve) => {
+      if (this.mediaRecorder?.state !== 'recording') return resolve(null)
+      this.mediaRecorder.onstop = () => {
+        const blob = new Blob(this.chunks, {type: this.mediaRecorder.mimeType})
+        this.release()
+        resolve(blob)
+      }
+      this.mediaRecorder.stop()
+    })
+  }
+
+  // Stop everything without keeping the recording
+  release() {
+    cancelAnimationFrame(this.frame)
+    this.context?.close()
+    this.context = null
+    this.stream?.getTracks().forEach(track => track.stop())
+    this.stream = null
+    this.mediaRecorder = null
+    this.chunks = []
+    this.onLevel({rms: 0, peak: 0, clipping: false})
+  }
+}
@@ -0,0 +1,33 @@
+import {getLanguage} from "@/utils/languages.js";
+
+// Everyday sentences the word predictor starts from, before it has learnt from anything the user says.
+// Languages without a list here start from their starter words and sentences only.
+const baseSentences = {
+  en: [
+    "Yes please", "No thank you", "Thank you very much", "I don't know", "I'm not sure",
+    "I need the toilet", "I need a drink", "I need some help", "I need to rest", "I need my medication",
+    "Can you help me please", "Can you move my arm", "Can you open the window", "Can you turn the light off",
+    "Can you turn the TV on", "Can you call my wife", "Can you call my husband", "Can you call the nurse",
+    "I would like a cup of tea", "I would like a glass of water", "I would like something to eat",
+    "I would like to go outside", "I would like to watch the news", "I would like to listen to music",
+    "I'm hungry", "I'm thirsty", "I'm tired", "I'm cold", "I'm too hot", "I'm in pain", "I'm fine thanks",
+    "I'm feeling good today", "I'm feeling a bit low today", "I'm bored", "I'm uncomfortable",
+    "How are you", "How was your day", "How was work", "How are the kids", "What are you doing today",
+    "What time is it", "What's for dinner", "What's the weather like", "Where are you going",
+    "When are you coming back", "Who is coming to visit", "Have a good day", "See you later", "Good morning",
+    "Good night", "Hello", "Love you", "That's great", "That's a shame", "That sounds good", "That's funny",
+    "Give me a moment please", "Please wait", "Please say that again", "Please speak more slowly",
+    "It was lovely to see you", "I had a good time", "I miss you", "I'm proud of you", "Don't worry about it",
+    "Let me think about it", "Tell me about your day", "I agree", "I don't agree", "Maybe later",
+    "Not right now", "It's too loud", "It's too bright", "Could you put the heating on",
+  ],
+}
+
+// For WordPredictor: sentences to learn from and words to know without context
+export function baseVocabulary(code) {
+  const language = getLanguage(code)
+  return {
+    sentences: [...(baseSentences[language.code] || []), ...language.sentences],
+    words: [...language.words, ...language.topics],
+  }
+}
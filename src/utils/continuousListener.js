@@ -0,0 +1,43 @@
+import {VoiceActivityDetector} from "@/utils/voiceActivity.js";
+import {PCMCapture, SAMPLE_RATE} from "@/utils/pcmCapture.js";
+
+/**
+ * Keeps the microphone open and hands each utterance it hears to onSegment as mono 16kHz samples.
+ */
+export class ContinuousListener {
+  constructor(options = {}, {onSpeechStart, onSegment} = {}) {
+    this.detector = new VoiceActivityDetector({...options, sampleRate: SAMPLE_RATE}, {onSpeechStart, onSegment})
+    this.paused = false
+    this.capture = new PCMCapture((samples) => {
+      if (!this.paused) this.detector.process(samples)
+    })
+  }
+
+  start() {
+    return this.capture.start()
+  }
+
+  setOptions(options) {
+    this.detector.setOptions(options)
+  }
+
+  // The utterance heard so far, or null between utterances; for showing a partial transcript
+  currentSegment() {
+    return this.detector.currentSegment()
+  }
+
+  // Stop listening for a while, e.g. while Ossia is speaking, dropping anything half heard
+  pause() {
+    this.paused = true
+    this.detector.reset()
+  }
+
+  resume() {
+    this.paused = false
+  }
+
+  stop() {
+    this.detector.reset()
+    this.capture.stop()
+  }
+}
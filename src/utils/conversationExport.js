@@ -0,0 +1,71 @@
+// Conversation exports for reviewing sessions outside Ossia. In the message history 'user' is the person
+// talking to the Ossia user and 'assistant' is the Ossia user, so exports use clearer names.
+export const roleLabels = {user: 'Interlocutor', assistant: 'User', system: 'System'}
+
+export const exportFormats = {
+  json: {label: 'JSON', extension: 'json', type: 'application/json', write: toJSON},
+  text: {label: 'Text transcript', extension: 'txt', type: 'text/plain', write: toText},
+  csv: {label: 'CSV', extension: 'csv', type: 'text/csv', write: toCSV},
+}
+
+// Seconds the Ossia user took to reply to the message before, blank for everything else
+function latency(messages, index) {
+  const message = messages[index]
+  const previous = messages[index - 1]
+  if (message.role !== 'assistant' || !previous || !message.time || !previous.time) return ''
+  return ((message.time - previous.time) / 1000).toFixed(1)
+}
+
+// The interlocutor's name when speakers were told apart
+function speakerLabel(message) {
+  return message.speaker || roleLabels[message.role] || message.role
+}
+
+function formatTime(time) {
+  return time ? new Date(time).toISOString() : ''
+}
+
+function toJSON(sessions) {
+  return JSON.stringify({
+    format: 'ossia-conversations',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    sessions,
+  }, null, 2)
+}
+
+function toText(sessions) {
+  return sessions.map((session) => {
+    const lines = session.messages.map((message) => {
+      const time = message.time ? `[${new Date(message.time).toLocaleTimeString()}] ` : ''
+      return `${time}${speakerLabel(message)}: ${message.content}`
+    })
+    return [session.name, '='.repeat(session.name.length), ...lines].join('\n')
+  }).join('\n\n')
+}
+
+function csvCell(value) {
+  const text = String(value ?? '')
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCSV(sessions) {
+  const rows = [['session', 'role', 'time', 'latency_seconds', 'content', 'speaker']]
+  for (const session of sessions) {
+    session.messages.forEach((message, index) => {
+      rows.push([session.name, roleLabels[message.role] || message.role, formatTime(message.time),
+        latency(session.messages, index), message.content, message.speaker])
+    })
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n')
+}
+
+/**
+ * @param {{name: string, messages: {role: string, content: string, time?: number, speaker?: string}[]}[]} sessions
+ * @param {'json'|'text'|'csv'} format
+ * @returns {{content: string, extension: string, type: string}}
+ */
+export function exportConversations(sessions, format) {
+  const {write, extension, type} = exportFormats[format]
+  return {content: write(sessions), extension, type}
+}
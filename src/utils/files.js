@@ -0,0 +1,24 @@
+// Save generated content as a file through the browser's download prompt
+export function downloadFile(filename, content, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([content], {type}))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export async function readJSONFile(file) {
+  const text = await file.text()
+  try {
+    return JSON.parse(text)
+  } catch {
+    throw new Error(`${file.name} is not a valid JSON file`)
+  }
+}
+
+// e.g. 2024-03-01-1405, for file names
+export function fileTimestamp(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`
+}
@@ -0,0 +1,11 @@
+// Ids for saved records. crypto.randomUUID only exists in secure contexts (https or localhost), but Ossia is
+// also opened over plain http from other devices on the network, e.g. a tablet pointed at the dev server.
+// getRandomValues works everywhere, so the fallback builds the same kind of version 4 UUID from it.
+export function createId() {
+  if (window.crypto?.randomUUID) return crypto.randomUUID()
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
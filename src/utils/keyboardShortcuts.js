@@ -0,0 +1,64 @@
+// Shortcuts are stored as combos like 'Alt+KeyB', built from KeyboardEvent.code so they survive layout changes
+export const shortcutActions = {
+  buildTab: 'Switch to the build tab',
+  editTab: 'Switch to the edit tab',
+  newTab: 'Switch to the new topic tab',
+  phrasebookTab: 'Switch to the phrasebook tab',
+  createSentence: 'Create sentence from selected words',
+  focusSuggestions: 'Jump to sentence suggestions',
+  focusBuilder: 'Jump to the message builder',
+  undoSend: 'Undo the last message sent',
+  help: 'Show this help'
+}
+
+export const defaultShortcuts = {
+  buildTab: 'Alt+KeyB',
+  editTab: 'Alt+KeyE',
+  newTab: 'Alt+KeyN',
+  phrasebookTab: 'Alt+KeyP',
+  createSentence: 'Alt+KeyC',
+  focusSuggestions: 'Alt+KeyS',
+  focusBuilder: 'Alt+KeyW',
+  undoSend: 'Alt+KeyZ',
+  help: 'Shift+Slash'
+}
+
+// Fixed keys handled alongside the configurable shortcuts, listed in the help overlay
+export const fixedKeys = [
+  ['← →', 'Move between word chips, edit options or suggestions'],
+  ['↑ ↓', 'Move to the previous or next group'],
+  ['Space', 'Toggle the focused word chip or press the focused button'],
+  ['Enter', 'Speak the focused suggestion or press the focused button'],
+  ['1 - 9', 'Speak (or edit) the Nth sentence suggestion']
+]
+
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight',
+  'MetaLeft', 'MetaRight']
+
+export function eventToCombo(event) {
+  if (MODIFIER_CODES.includes(event.code)) return null
+  return [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift',
+    event.metaKey && 'Meta',
+    event.code
+  ].filter(Boolean).join('+')
+}
+
+const codeNames = {
+  Slash: '/', Comma: ',', Period: '.', Semicolon: ';', Quote: "'", BracketLeft: '[', BracketRight: ']',
+  Backslash: '\\', Minus: '-', Equal: '=', Backquote: '`'
+}
+
+export function formatCombo(combo) {
+  if (!combo) return 'Not set'
+  return combo.split('+').map((part) => {
+    if (codeNames[part]) return codeNames[part]
+    return part.replace(/^(Key|Digit|Numpad)/, '')
+  }).join(' + ')
+}
+
+export function findAction(shortcuts, combo) {
+  return Object.keys(shortcuts).find((action) => shortcuts[action] === combo)
+}
@@ -0,0 +1,78 @@
+// Languages Ossia can be used in. whisper is the language hint passed to the multilingual Whisper models, or
+// null where Whisper doesn't know the language and has to guess; English keeps the smaller English-only
+// models. The word, sentence and topic lists are what the message builder starts with, and the
+// test sentence is said by "Test voice".
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export const languages = [
+  {
+    code: 'en', name: 'English', nativeName: 'English', whisper: null, englishOnlyModels: true,
+    words: ['hi', 'how', 'you', 'weather', 'nice', 'hungry', 'dinner', 'today', 'i',
+      'work', 'rugby', 'jazz', 'cold', 'warm', 'thirsty', 'bored', 'good'],
+    sentences: ["Hi, how are you doing?", "What's on for your day?",
+      "I'm a little cold", "Get up to anything interesting today?"],
+    topics: ['🍝 Dinner', '🏉 Rugby', '🗳️ Politics', '👨‍👩‍👧 Family', '🏥 Health', '🎭 Art',
+      '🙂 Mood', '🫂 Friends', '🌦️ Weather', '📆 Plans'],
+    testSentence: "Hello, this is how I sound.",
+  },
+  {
+    code: 'cy', name: 'Welsh', nativeName: 'Cymraeg', whisper: 'welsh',
+    words: ['helo', 'sut', 'ti', 'tywydd', 'braf', 'llwglyd', 'swper', 'heddiw', 'fi',
+      'gwaith', 'rygbi', 'jazz', 'oer', 'cynnes', 'sychedig', 'diflasu', 'da'],
+    sentences: ["Helo, sut wyt ti?", "Beth sydd ymlaen gen ti heddiw?",
+      "Dw i braidd yn oer", "Wnest ti rywbeth diddorol heddiw?"],
+    topics: ['🍝 Swper', '🏉 Rygbi', '🗳️ Gwleidyddiaeth', '👨‍👩‍👧 Teulu', '🏥 Iechyd', '🎭 Celf',
+      '🙂 Hwyliau', '🫂 Ffrindiau', '🌦️ Tywydd', '📆 Cynlluniau'],
+    testSentence: "Helo, dyma sut mae fy llais i'n swnio.",
+  },
+  {
+    code: 'gd', name: 'Scottish Gaelic', nativeName: 'Gàidhlig', whisper: null,
+    words: ['halò', 'ciamar', 'thu', 'sìde', 'snog', 'acras', 'dinnear', 'an-diugh', 'mi',
+      'obair', 'rugbaidh', 'jazz', 'fuar', 'blàth', 'pathadh', 'fadachd', 'math'],
+    sentences: ["Halò, ciamar a tha thu?", "Dè tha romhad an-diugh?",
+      "Tha mi beagan fuar", "An do rinn thu dad inntinneach an-diugh?"],
+    topics: ['🍝 Dinnear', '🏉 Rugbaidh', '🗳️ Poileataics', '👨‍👩‍👧 Teaghlach', '🏥 Slàinte', '🎭 Ealain',
+      '🙂 Gleus', '🫂 Caraidean', '🌦️ Sìde', '📆 Planaichean'],
+    testSentence: "Halò, seo mar a tha mo ghuth.",
+  },
+  {
+    code: 'pl', name: 'Polish', nativeName: 'Polski', whisper: 'polish',
+    words: ['cześć', 'jak', 'ty', 'pogoda', 'miło', 'głodny', 'obiad', 'dzisiaj', 'ja',
+      'praca', 'rugby', 'jazz', 'zimno', 'ciepło', 'spragniony', 'znudzony', 'dobrze'],
+    sentences: ["Cześć, jak się masz?", "Jakie masz plany na dziś?",
+      "Trochę mi zimno", "Działo się dziś coś ciekawego?"],
+    topics: ['🍝 Obiad', '🏉 Rugby', '🗳️ Polityka', '👨‍👩‍👧 Rodzina', '🏥 Zdrowie', '🎭 Sztuka',
+      '🙂 Nastrój', '🫂 Przyjaciele', '🌦️ Pogoda', '📆 Plany'],
+    testSentence: "Cześć, tak brzmi mój głos.",
+  },
+]
+
+export function getLanguage(code) {
+  return languages.find(language => language.code === code) || languages[0]
+}
+
+// Whisper checkpoints for each size choice in the settings
+const englishOnlyWhisperModels = {
+  'Choice 1': 'Xenova/whisper-tiny.en',
+  'Choice 2': 'Xenova/whisper-base.en',
+  'Choice 3': 'Xenova/whisper-small.en'
+}
+const multilingualWhisperModels = {
+  'Choice 1': 'Xenova/whisper-tiny',
+  'Choice 2': 'Xenova/whisper-base',
+  'Choice 3': 'Xenova/whisper-small'
+}
+
+export function whisperModelFor(choice, code) {
+  const models = getLanguage(code).englishOnlyModels ? englishOnlyWhisperModels : multilingualWhisperModels
+  return models[choice] || models['Choice 1']
+}
+
+// An instruction for the suggestion prompts, empty for English as the prompts are already in English
+export function languageInstruction(code) {
+  const language = getLanguage(code)
+  if (language.code === DEFAULT_LANGUAGE) return ''
+  return `Write every suggestion in ${language.name} (${language.nativeName}), the language the user speaks, ` +
+    `even though these instructions are in English and even if the interlocutor uses another language.`
+}
@@ -0,0 +1,36 @@
+import {resample} from "@/utils/audio.js";
+
+export const SAMPLE_RATE = 16000  // what the speech-to-text models expect
+
+/**
+ * Streams microphone samples to onSamples as mono 16kHz Float32Arrays, captured with an AudioWorklet so
+ * nothing is dropped while the page is busy.
+ */
+export class PCMCapture {
+  constructor(onSamples) {
+    this.onSamples = onSamples
+    this.stream = null
+    this.context = null
+  }
+
+  async start() {
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: {echoCancellation: true, noiseSuppression: true, autoGainControl: true}
+    })
+    // the context runs at the device's rate; some browsers can't capture a stream into a 16kHz context
+    this.context = new AudioContext()
+    await this.context.audioWorklet.addModule(new URL('../workers/pcmCapture.worklet.js', import.meta.url))
+    const capture = new AudioWorkletNode(this.context, 'pcm-capture', {numberOfOutputs: 0})
+    capture.port.onmessage = ({data}) => {
+      if (this.context) this.onSamples(resample(data, this.context.sampleRate, SAMPLE_RATE))
+    }
+    this.context.createMediaStreamSource(this.stream).connect(capture)
+  }
+
+  stop() {
+    this.context?.close()
+    this.context = null
+    this.stream?.getTracks().forEach(track => track.stop())
+    this.stream = null
+  }
+}
@@ -0,0 +1,44 @@
+// Learning from what the user picks: which of their past choices are worth showing the model as examples,
+// and how much new suggestions look like their usual choices (see suggestionRanking.js). Works on the usage log
+// kept by UsageStore: [{type: 'sentence', chosen, shown, context, time}, ...] among other entry types.
+import {tokenise} from "@/utils/wordPredictor.js";
+
+const IGNORED_WEIGHT = 0.5  // how much looking like a passed over suggestion counts against one
+
+// Word overlap between two pieces of text, 0 to 1
+export function similarity(a, b) {
+  const wordsA = new Set(tokenise(a))
+  const wordsB = new Set(tokenise(b))
+  if (wordsA.size === 0 || wordsB.size === 0) return 0
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length
+  return shared / (wordsA.size + wordsB.size - shared)
+}
+
+const choices = (log) => log.filter(entry => entry.type === 'sentence' && entry.chosen)
+
+/**
+ * Past choices to show the model as examples of how the user likes to put things: those said in reply to
+ * something like `context` first, then the most recent. Resolves to [{context, chosen}], oldest first.
+ */
+export function pickExamples(log, context, limit = 4) {
+  const chosen = choices(log)
+  return chosen
+    .map((entry, index) => ({entry, score: similarity(entry.context || '', context || '') + index / chosen.length / 10}))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .sort((a, b) => a.entry.time - b.entry.time)
+    .map(({entry}) => ({context: entry.context || '', chosen: entry.chosen}))
+}
+
+// How much a suggestion looks like what the user picks, less how much it looks like what they pass over
+export function preferenceScore(suggestion, log) {
+  let liked = 0
+  let ignored = 0
+  for (const entry of choices(log)) {
+    liked = Math.max(liked, similarity(suggestion, entry.chosen))
+    for (const other of entry.shown || []) {
+      if (other !== entry.chosen) ignored = Math.max(ignored, similarity(suggestion, other))
+    }
+  }
+  return liked - IGNORED_WEIGHT * ignored
+}
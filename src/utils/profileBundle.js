@@ -0,0 +1,179 @@
+import {speechToTextModels} from "@/stores/SettingsStore.js";
+import {usePhrasebookStore} from "@/stores/PhrasebookStore.js";
+import {usePromptStore} from "@/stores/PromptStore.js";
+import {getTextGenerators} from "@/repositories/textGeneration/index.js";
+import {getTextToSpeechEngines} from "@/repositories/textToSpeech/index.js";
+import {deleteClonedVoice, getClonedVoice, saveClonedVoice} from "@/repositories/VoiceCloneRepository.js";
+import {resetVoice} from "@/repositories/TextToSpeechRepository.js";
+import {languages} from "@/utils/languages.js";
+import {promptTemplates} from "@/utils/promptTemplates.js";
+import {profileStorage} from "@/utils/profileStorage.js";
+
+// A profile bundle moves a user's setup between machines: {format, version, exportedAt, profile: {...}}
+export const BUNDLE_FORMAT = 'ossia-profile'
+export const BUNDLE_VERSION = 1
+
+// Fields the settings store only writes when the settings are saved, so an import writes them itself
+function storeSetting(settings, key, value) {
+  settings[key] = value
+  profileStorage.setItem(key, value)
+}
+
+const isText = (value) => typeof value === 'string' ? '' : 'must be text'
+
+function isPhraseList(value) {
+  const valid = Array.isArray(value) &&
+    value.every(phrase => typeof phrase?.text === 'string' && typeof phrase?.category === 'string')
+  return valid ? '' : 'must be a list of phrases with text and a category'
+}
+
+function isVoiceSettings(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be a set of voice settings'
+  const engines = getTextToSpeechEngines().map(engine => engine.id)
+  if (!engines.includes(value.engine)) return `engine must be one of ${engines.join(', ')}`
+  const numbers = ['rate', 'pitch', 'volume'].filter(key => key in value && typeof value[key] !== 'number')
+  return numbers.length ? `${numbers.join(', ')} must be numbers` : ''
+}
+
+const SPEAKER_EMBEDDING_SIZE = 512  // x-vector length SpeechT5 expects
+
+// null for a profile without a cloned voice
+function isSpeakerEmbedding(value) {
+  if (value === null) return ''
+  const valid = Array.isArray(value?.embedding) && value.embedding.length === SPEAKER_EMBEDDING_SIZE &&
+    value.embedding.every(Number.isFinite)
+  return valid ? '' : `must be a list of ${SPEAKER_EMBEDDING_SIZE} numbers`
+}
+
+// Edited prompt templates: {name: {text, version}}
+function isPromptTemplates(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be a set of prompt templates'
+  const unknown = Object.keys(value).filter(name => !(name in promptTemplates))
+  if (unknown.length) return `has unknown templates: ${unknown.join(', ')}`
+  const valid = Object.values(value).every(template =>
+    typeof template?.text === 'string' && Number.isInteger(template?.version))
+  return valid ? '' : 'must each have text and a version'
+}
+
+function oneOf(options) {
+  return (value) => options().includes(value) ? '' : `must be one of ${options().join(', ')}`
+}
+
+/**
+ * Everything a bundle can carry. get/set receive the settings store and may be async, as some data lives in
+ * IndexedDB; validate returns what is wrong with a value, or '' if it can be imported. A field missing from
+ * a bundle is left alone on import.
+ */
+export const profileFields = [
+  {
+    key: 'backstory', label: 'Backstory', validate: isText,
+    get: (settings) => settings.backstory,
+    set: (settings, value) => storeSetting(settings, 'backstory', value),
+  },
+  {
+    key: 'context', label: 'Context', validate: isText,
+    get: (settings) => settings.context,
+    set: (settings, value) => storeSetting(settings, 'context', value),
+  },
+  {
+    key: 'selectedLLMModel', label: 'AI model',
+    validate: oneOf(() => getTextGenerators().map(generator => generator.id)),
+    get: (settings) => settings.selectedLLMModel,
+    set: (settings, value) => settings.saveSelectedLLMModel(value),
+  },
+  {
+    key: 'selectedSTTModel', label: 'Speech-to-text model',
+    validate: oneOf(() => speechToTextModels.map(model => model.value)),
+    get: (settings) => settings.selectedSTTModel,
+    set: (settings, value) => storeSetting(settings, 'selectedSTTModel', value),
+    requiresReload: true,
+  },
+  {
+    key: 'language', label: 'Language',
+    validate: oneOf(() => languages.map(language => language.code)),
+    get: (settings) => settings.language,
+    set: (settings, value) => storeSetting(settings, 'language', value),
+    requiresReload: true,
+  },
+  {
+    key: 'voiceSettings', label: 'Voice', validate: isVoiceSettings,
+    get: (settings) => ({...settings.voiceSettings}),
+    set: (settings, value) => settings.voiceSettings = {...settings.voiceSettings, ...value},
+  },
+  {
+    key: 'speakerEmbedding', label: 'Cloned voice', validate: isSpeakerEmbedding,
+    get: async () => {
+      const voice = await getClonedVoice()
+      return voice ? {embedding: Array.from(voice.embedding), clips: voice.clips} : null
+    },
+    set: async (settings, value) => {
+      await (value ? saveClonedVoice(value) : deleteClonedVoice())
+      resetVoice()
+    },
+  },
+  {
+    key: 'phrasebook', label: 'Phrasebook', validate: isPhraseList,
+    get: () => usePhrasebookStore().phrases.map(({text, category, uses, lastUsed}) => ({text, category, uses, lastUsed})),
+    set: (settings, value) => usePhrasebookStore().replacePhrases(value),
+  },
+  {
+    key: 'promptTemplates', label: 'Prompt templates', validate: isPromptTemplates,
+    get: () => JSON.parse(JSON.stringify(usePromptStore().customTemplates)),
+    set: (settings, value) => usePromptStore().customTemplates = {...value},
+  },
+]
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+export async function createProfileBundle(settingStore) {
+  const profile = {}
+  for (const field of profileFields) {
+    profile[field.key] = await field.get(settingStore)
+  }
+  return {format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), profile}
+}
+
+// Returns a list of problems; an empty list means the bundle can be imported
+export function validateProfileBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return ['This file is not an Ossia profile']
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    return [`Profile version ${bundle.version} is not supported by this version of Ossia`]
+  }
+  if (!bundle.profile || typeof bundle.profile !== 'object') return ['The profile has no settings in it']
+  const errors = []
+  for (const field of profileFields) {
+    if (!(field.key in bundle.profile)) continue
+    const problem = field.validate(bundle.profile[field.key])
+    if (problem) errors.push(`${field.label} ${problem}`)
+  }
+  return errors
+}
+
+// What importing the bundle would change: [{key, label, current, incoming, changed}]
+export async function diffProfileBundle(bundle, settingStore) {
+  const changes = []
+  for (const field of profileFields) {
+    if (!(field.key in bundle.profile)) continue
+    const current = await field.get(settingStore)
+    const incoming = bundle.profile[field.key]
+    changes.push({key: field.key, label: field.label, current, incoming, changed: !same(current, incoming)})
+  }
+  return changes
+}
+
+// Overwrite the current settings with the bundle's. Resolves to whether the page must reload to apply them.
+export async function applyProfileBundle(bundle, settingStore) {
+  let reload = false
+  for (const field of profileFields) {
+    if (!(field.key in bundle.profile)) continue
+    const value = bundle.profile[field.key]
+    if (same(await field.get(settingStore), value)) continue
+    await field.set(settingStore, value)
+    reload = reload || !!field.requiresReload
+  }
+  return reload
+}
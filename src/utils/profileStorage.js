@@ -0,0 +1,58 @@
+import {watch} from 'vue'
+
+// localStorage for settings that belong to one person rather than the device. Keys are namespaced as
+// 'profile:<id>:<key>' under whichever profile is active.
+export const DEFAULT_PROFILE_ID = 'default'
+const ACTIVE_PROFILE_KEY = 'activeProfileId'
+
+export function getActiveProfileId() {
+  return localStorage.getItem(ACTIVE_PROFILE_KEY) || DEFAULT_PROFILE_ID
+}
+
+export function setActiveProfileId(id) {
+  localStorage.setItem(ACTIVE_PROFILE_KEY, id)
+}
+
+function namespaced(key, profileId) {
+  return `profile:${profileId}:${key}`
+}
+
+export const profileStorage = {
+  getItem(key, profileId = getActiveProfileId()) {
+    const value = localStorage.getItem(namespaced(key, profileId))
+    const legacy = localStorage.getItem(key)
+    // settings saved before profiles existed move over to the default profile the first time they're read
+    if (value === null && legacy !== null && profileId === DEFAULT_PROFILE_ID) {
+      localStorage.setItem(namespaced(key, profileId), legacy)
+      localStorage.removeItem(key)
+      return legacy
+    }
+    return value
+  },
+  setItem(key, value, profileId = getActiveProfileId()) {
+    localStorage.setItem(namespaced(key, profileId), value)
+  },
+  removeItem(key, profileId = getActiveProfileId()) {
+    localStorage.removeItem(namespaced(key, profileId))
+  },
+}
+
+// A JSON value saved for the active profile, or null if there is none or it can't be read
+export function readProfileJSON(key) {
+  try {
+    return JSON.parse(profileStorage.getItem(key))
+  } catch (error) {
+    console.error(`Error parsing ${key} from localStorage:`, error)
+    return null
+  }
+}
+
+// Save source (a ref or getter) as JSON for the active profile whenever anything in it changes
+export function persistProfileJSON(key, source) {
+  return watch(source, (value) => profileStorage.setItem(key, JSON.stringify(value)), {deep: true})
+}
+
+export function clearProfileStorage(profileId) {
+  const prefix = namespaced('', profileId)
+  Object.keys(localStorage).filter(key => key.startsWith(prefix)).forEach(key => localStorage.removeItem(key))
+}
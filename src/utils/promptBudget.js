@@ -0,0 +1,60 @@
+// Keeping prompts within what the model handles well: counting tokens and choosing which parts of the
+// conversation go in word for word. Older turns are folded into a running summary instead (see MessageStore).
+
+// Roughly how many tokens text takes for a typical tokenizer: most words are one or two tokens and
+// punctuation is usually one on its own. Providers with a tokenizer to hand count exactly instead.
+export function estimateTokens(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu)?.length || 0
+  const symbols = text.match(/[^\s\p{L}\p{N}]/gu)?.length || 0
+  return Math.ceil(words * 1.3 + symbols)
+}
+
+const messageTokens = (message, countTokens) => countTokens(JSON.stringify(message))
+
+/**
+ * Index of the first message to include word for word: as many of the latest messages as fit in budget
+ * tokens, and never fewer than minKeep so the model always sees what it is replying to.
+ */
+export function recentTurnsStart(messages, budget, countTokens, minKeep = 2) {
+  let used = 0
+  let start = messages.length
+  while (start > 0) {
+    const tokens = messageTokens(messages[start - 1], countTokens)
+    if (used + tokens > budget && messages.length - start >= minKeep) break
+    used += tokens
+    start--
+  }
+  return start
+}
+
+/**
+ * The newest instruction/answer pairs of the edit history that fit in budget tokens. Older pairs go first,
+ * and pairs stay together so an answer is never left without what it answered.
+ */
+export function trimEditHistory(editHistory, budget, countTokens) {
+  const kept = []
+  let used = 0
+  for (let end = editHistory.length; end > 0; end -= 2) {
+    const pair = editHistory.slice(Math.max(0, end - 2), end)
+    const tokens = pair.reduce((total, message) => total + messageTokens(message, countTokens), 0)
+    if (used + tokens > budget) break
+    used += tokens
+    kept.unshift(...pair)
+  }
+  return kept
+}
+
+// The summary out of a summarisation response, which should be {"summary": "..."} but may be plain text
+export function parseSummary(raw) {
+  const text = (raw || '').trim()
+  const json = text.match(/\{[\s\S]*\}/)
+  if (json) {
+    try {
+      const summary = JSON.parse(json[0]).summary
+      if (typeof summary === 'string') return summary.trim()
+    } catch {
+      // not JSON after all, use the text as it is
+    }
+  }
+  return text.replace(/^```\w*\s*|\s*```$/g, '').trim()
+}
@@ -0,0 +1,291 @@
+// The prompts Ossia sends to the AI model, as named templates a profile can override in the advanced
+// settings. {{name}} is replaced with a variable and {{#name}}...{{/name}} is only kept when the variable has a
+// value. Bump a template's version when its default text changes, so anyone who edited the old one is told.
+
+// What every template can use, for the editor
+export const templateVariables = {
+  backstory: "The user's backstory",
+  context: 'The context typed in beside the microphone',
+  date: 'The current date and time',
+  history: 'The conversation so far, as JSON',
+  summary: 'The running summary of older turns that no longer fit in the prompt',
+  editHistory: 'Suggestions already given for this turn, as JSON',
+  rules: 'Extra numbered rules for the language and speakers, if any',
+  count: 'How many suggestions (or words of summary) to ask for',
+  hint: 'A hint typed by the user',
+  words: 'Words the user picked',
+  topic: 'A new topic',
+  response: 'The suggestion the user wants to adjust',
+  examples: 'Things the user chose to say before, from the usage log',
+}
+
+export const promptTemplates = {
+  wordsSystem: {
+    label: 'System prompt for words',
+    version: 1,
+    text: `You are an AI Bot designed to assist someone living with Motor Neurone Disease (MND) (hereafter referred to as the 'user'). 
+You will receive a Current Conversation History between the user and another person (the 'interlocutor'). 
+Your role is to generate **key words and phrases** that may be relevant to the user's next sentence.'.  
+
+**The user’s backstory is**:
+
+{{backstory}}
+
+**Rules for Suggestions**:  
+Follow these rules when creating suggestions:
+
+1. Include a variety of options reflecting different moods, opinions and perspectives.
+2. Tailor suggestions based on the assistant's personality, backstory, and current context, but avoid assuming details not provided.
+3. Keep suggestions concise, manageable, likely and useful for communication.{{rules}}
+**Examples**:
+
+**Input Example**  
+*User:* "Hello, glad you're home"  
+*assistant:* "Yeah good to be back"
+*User:* "Did you have a good day at work?"  
+*User:* "Prompt: Generate 10-15 key words for a response."  
+
+**Output Example**  
+\`\`\`json
+[
+  "not",
+  "good",
+  "stressful",
+  "fun",
+  "tired",
+  "colleagues",
+  "deadline",
+  "meeting",
+  "boring",
+  "day off"
+]
+\`\`\`
+Here is some background context to the users current situation. You do not necessarily 
+need to use it:
+Date and Time: {{date}}
+{{#context}}{{context}}
+{{/context}}
+**Current Conversation History**
+\`\`\`json
+{{history}}
+\`\`\`
+{{#editHistory}}
+**Edit History**
+\`\`\`json
+{{editHistory}}
+\`\`\`
+{{/editHistory}}
+The next message you receive will be the instruction for generating suggestions.
+`,
+  },
+  sentencesSystem: {
+    label: 'System prompt for sentences',
+    version: 2,
+    text: `You are an AI Bot designed to assist someone living with Motor Neurone Disease (MND) (hereafter referred to as the 'user'). 
+You will receive a Current Conversation History between the user and another person (the 'interlocutor'). 
+Your role is to generate **short example sentences** that the user may want to use to respond.'.  
+
+**The user’s backstory is**:
+
+{{backstory}}
+
+**Rules for Suggestions**:  
+Follow these rules when creating suggestions:
+
+1. Include a variety of options reflecting different moods, opinions and perspectives.
+2. Tailor suggestions based on the assistant's personality, backstory, and current context, but avoid assuming details not provided.
+3. Keep suggestions concise, manageable, likely and useful for communication.{{rules}}
+**Examples**:
+
+**Input Example**
+*User:* "Fantastic game today hey?"  
+*assistant:* "Yeah it was brilliant. What a way to end the week"
+*User:* "just going to the bar, want anything?"  
+*User:* "Prompt: Given the conversation history, generate a list of 3 to 5 short generic sentences the assistant may want to say"  
+
+**Output Example**
+\`\`\`json
+[
+  "No I'm okay thanks",
+  "Oh go on then, a beer would be great thanks",
+  "Well, maybe a glass of water?"
+]
+\`\`\`
+
+-----
+**Input Example**
+*User:* "I'm about to head to the cinema"  
+*assistant:* "Oh what are you watching"
+*User:* "Dune, have you seen it yet?"  
+*User:* "Given the following list of words, generate between 3-5 sentences that the assistant might be trying to say. 
+Keep them generic but use all the words:
+['recommend', 'watching']
+"  
+
+**Output Example**
+\`\`\`json
+[
+  "No not yet, would you recommend watching it?",
+  "Yes it was great, I'd really recommend watching it!",
+  "Yes. It wasn't that good, wouldn't really recommend watching it",
+]
+\`\`\`
+{{#examples}}
+**What the user has chosen to say before** (match their style and phrasing where it fits, but not the content):
+{{examples}}
+
+{{/examples}}
+Here is some background context to the users current situation. You do not necessarily 
+need to use it:
+Date and Time: {{date}}
+{{#context}}{{context}}
+{{/context}}
+**Current Conversation History**
+\`\`\`json
+{{history}}
+\`\`\`
+{{#editHistory}}
+**Edit History**
+\`\`\`json
+{{editHistory}}
+\`\`\`
+{{/editHistory}}
+The next message you receive will be the instruction for generating suggestions.
+`,
+  },
+  replyWords: {
+    label: 'Words to reply with',
+    version: 1,
+    text: `Given the Current Conversation History, generate a short list of key words or very short phrases the user 
+can select from to build a new sentence. You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  replySentences: {
+    label: 'Sentences to reply with',
+    version: 1,
+    text: `Given the Current Conversation History, generate a list of {{count}} short generic sentences the assistant 
+may want to say. You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  sentencesFromWords: {
+    label: 'Sentences from picked words',
+    version: 1,
+    text: `Given the following list of words, generate {{count}} sentences that the assistant might be trying to say. 
+Keep them generic but use all the words:
+{{words}}
+You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  moreWords: {
+    label: 'More words like the picked ones',
+    version: 1,
+    text: `Given the following list of words and the Current Conversation History, generate another list of related 
+words that the assistant could select from to build a sentence:
+{{words}}
+You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  topicWords: {
+    label: 'Words for a new topic',
+    version: 1,
+    text: `Ignore all previous conversation. Generate a short list of key words the assistant can select from to 
+build a new sentence, based around this new topic: '{{topic}}'. You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  topicSentences: {
+    label: 'Sentences for a new topic',
+    version: 1,
+    text: `Ignore all previous conversation. Generate a list of {{count}} short generic sentences the assistant may 
+want to say, based around this new topic: '{{topic}}'. You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  hintWords: {
+    label: 'Words from a hint',
+    version: 1,
+    text: `Given the Current Conversation History, generate a short list of key words or very short phrases the 
+assistant can select from to build a new sentence, based on the hint: '{{hint}}'. You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  hintSentences: {
+    label: 'Sentences from a hint',
+    version: 1,
+    text: `Given the Current Conversation History, generate a list of {{count}} short generic sentences the assistant 
+may want to say, based on the hint: '{{hint}}'. You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  adjustWords: {
+    label: 'Words to adjust one suggestion',
+    version: 1,
+    text: `The response '{{response}}' was close. Generate a short list of key words or very short phrases the 
+assistant can select from to build a similar sentence, based on the hint: '{{hint}}'. You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  adjustSentences: {
+    label: 'Sentences to adjust one suggestion',
+    version: 1,
+    text: `The response '{{response}}' was close. Suggest similar sentences based on the following hint:
+'{{hint}}'
+You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  retryWords: {
+    label: 'Words when no suggestion was right',
+    version: 1,
+    text: `None of those suggestions were very useful. This time, instead of full sentences, generate a short list 
+of key words or very short phrases, that the assistant can select from to build alternative sentences. Here is a 
+hint to help guide you: '{{hint}}'. You must respond only with a valid JSON list of suggestions and NOTHING else.`,
+  },
+  retrySentences: {
+    label: 'Sentences when no suggestion was right',
+    version: 1,
+    text: `Try again, using the following hint:
+'{{hint}}'`,
+  },
+  alternativeSentences: {
+    label: 'Alternative sentences',
+    version: 1,
+    text: `Try again, providing {{count}} alternative suggestions`,
+  },
+  summary: {
+    label: 'Summary of older turns',
+    version: 1,
+    text: `You are helping someone living with Motor Neurone Disease (MND) (the 'assistant') keep track of a long 
+conversation with another person (the 'user'). Older parts of the conversation are kept as a summary.
+{{#summary}}
+**Summary so far**:
+{{summary}}
+{{/summary}}
+**Turns to add to the summary**:
+\`\`\`json
+{{history}}
+\`\`\`
+
+Write an updated summary in no more than {{count}} words, keeping names, facts, plans and anything either of them 
+asked that is still open. Respond only with JSON in the form {"summary": "..."} and NOTHING else.`,
+  },
+}
+
+/**
+ * Each kind of suggestion MessageStore can ask for: which list it fills ('words' or 'sentences'), and the
+ * system and instruction templates it is built from.
+ */
+export const suggestionKinds = {
+  replyWords: {target: 'words', system: 'wordsSystem'},
+  replySentences: {target: 'sentences', system: 'sentencesSystem'},
+  sentencesFromWords: {target: 'sentences', system: 'sentencesSystem'},
+  moreWords: {target: 'words', system: 'wordsSystem'},
+  topicWords: {target: 'words', system: 'wordsSystem'},
+  topicSentences: {target: 'sentences', system: 'sentencesSystem'},
+  hintWords: {target: 'words', system: 'wordsSystem'},
+  hintSentences: {target: 'sentences', system: 'sentencesSystem'},
+  adjustWords: {target: 'words', system: 'wordsSystem'},
+  adjustSentences: {target: 'sentences', system: 'sentencesSystem'},
+  retryWords: {target: 'words', system: 'wordsSystem'},
+  retrySentences: {target: 'sentences', system: 'sentencesSystem'},
+  alternativeSentences: {target: 'sentences', system: 'sentencesSystem'},
+}
+
+// Fill in a template. Unknown or empty variables become ''; values are inserted as they are, so text the
+// user typed can't add variables or sections of its own.
+export function renderTemplate(text, variables) {
+  const value = (name) => variables[name] ?? ''
+  return text
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, section) => value(name) ? section : '')
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => String(value(name)))
+}
+
+// Variables a template uses that Ossia doesn't know, most likely typos
+export function unknownVariables(text) {
+  const names = [...text.matchAll(/\{\{[#/]?(\w+)\}\}/g)].map(match => match[1])
+  return [...new Set(names)].filter(name => !(name in templateVariables))
+}
@@ -0,0 +1,39 @@
+// Helpers for walking the scannable parts of the page. Containers are marked with `data-scan-group`
+// and selectable elements with `data-scan-item`; groups may be nested to give row/column scanning.
+export const GROUP_SELECTOR = '[data-scan-group]'
+export const ITEM_SELECTOR = '[data-scan-item]'
+
+export function isScannable(el) {
+  if (el.disabled || el.getAttribute('aria-disabled') === 'true') return false
+  return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length)
+}
+
+export function isScanGroup(el) {
+  return el.matches(GROUP_SELECTOR)
+}
+
+// Groups and items whose nearest enclosing group is `container`, skipping groups with nothing in them
+export function getScanChildren(container) {
+  return [...container.querySelectorAll(`${GROUP_SELECTOR}, ${ITEM_SELECTOR}`)].filter(
+    (el) =>
+      el.parentElement.closest(GROUP_SELECTOR) === container &&
+      isScannable(el) &&
+      (!isScanGroup(el) || getScanChildren(el).length > 0)
+  )
+}
+
+// Every item below `container`, flattened in document order
+export function getScanItems(container) {
+  return [...container.querySelectorAll(ITEM_SELECTOR)].filter(isScannable)
+}
+
+export function getGroupItems(group) {
+  return getScanChildren(group).filter((el) => !isScanGroup(el))
+}
+
+// Groups that hold items directly (rather than only other groups), used for arrow-key movement
+export function getItemGroups(container) {
+  return [...container.querySelectorAll(GROUP_SELECTOR)].filter(
+    (group) => isScannable(group) && getGroupItems(group).length > 0
+  )
+}
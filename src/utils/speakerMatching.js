@@ -0,0 +1,63 @@
+// Pure helpers for telling speakers apart: tidying the segmentation model's output into speaker turns and
+// matching x-vectors against the speakers heard before.
+
+// pyannote's segmentation model labels each frame with a "powerset" class: 0 is silence, 1-3 are single
+// (local) speakers and anything above is two of them talking over each other
+const MAX_SINGLE_SPEAKER = 3
+
+export function cosineSimilarity(a, b) {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return dot / (Math.sqrt(normA * normB) || 1)
+}
+
+/**
+ * The known speaker whose voice is closest to embedding, or null if nobody is at least threshold similar.
+ * speakers: [{embedding}]
+ */
+export function closestSpeaker(embedding, speakers, threshold) {
+  let best = null
+  let bestSimilarity = threshold
+  for (const speaker of speakers) {
+    const similarity = cosineSimilarity(embedding, speaker.embedding)
+    if (similarity >= bestSimilarity) {
+      best = speaker
+      bestSimilarity = similarity
+    }
+  }
+  return best
+}
+
+// Running mean, so a speaker's voice print improves each time they are heard
+export function updateCentroid(centroid, embedding, samples) {
+  return centroid.map((value, i) => (value * samples + embedding[i]) / (samples + 1))
+}
+
+/**
+ * Turn segmentation output ([{id, start, end}] in seconds) into turns: [{speaker, start, end}] where speaker
+ * is the local speaker id. Silence and overlapping speech are dropped, and local speakers heard for less
+ * than minSpeaker seconds in total are folded into the turn before them, as their voice print would be
+ * unreliable. Consecutive turns by the same speaker are joined, including the pause between them.
+ */
+export function speakerTurns(segments, {minSegment = 0.3, minSpeaker = 1} = {}) {
+  const speech = segments.filter(segment =>
+    segment.id > 0 && segment.id <= MAX_SINGLE_SPEAKER && segment.end - segment.start >= minSegment)
+  const durations = {}
+  speech.forEach(segment => durations[segment.id] = (durations[segment.id] || 0) + segment.end - segment.start)
+  const reliable = speech.filter(segment => durations[segment.id] >= minSpeaker)
+  if (reliable.length === 0) return []
+  const turns = []
+  for (const segment of speech) {
+    const previous = turns.at(-1)
+    const speaker = durations[segment.id] >= minSpeaker ? segment.id : (previous?.speaker ?? reliable[0].id)
+    if (previous?.speaker === speaker) previous.end = segment.end
+    else turns.push({speaker, start: segment.start, end: segment.end})
+  }
+  return turns
+}
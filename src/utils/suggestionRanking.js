@@ -0,0 +1,118 @@
+// Picking sentence suggestions: drop the ones that say the same thing as another, make sure what is shown
+// covers yes, no and in between at a few lengths, and prefer the best of the rest.
+import {cosineSimilarity} from "@/utils/speakerMatching.js";
+import {similarity} from "@/utils/personalisation.js";
+
+const DUPLICATE_SIMILARITY = 0.88  // of sentence embeddings, above which two suggestions mean the same
+const DUPLICATE_OVERLAP = 0.75  // word overlap that counts as a duplicate when there are no embeddings
+// How much the model's own order, closeness to what was said and the user's past choices count
+const WEIGHTS = {model: 0.3, relevance: 0.4, personal: 0.3}
+
+const neutralStart = /^(not sure|maybe|perhaps|possibly|it depends|i'm not sure|i don't know|i'll think)\b/
+const yesStart = /^(yes|yeah|yep|yup|sure|ok|okay|of course|definitely|absolutely|certainly|please|go on|why not|sounds (good|great|lovely)|that would be|i'd love|i would love)\b/
+const noStart = /^(no|nope|nah|not|never|i don't|i do not|i can't|i cannot|i won't|i'd rather not|i would rather not|i'm not|don't|can't|won't)\b/
+
+// 'yes', 'no' or 'neutral', from how the sentence starts
+export function polarity(sentence) {
+  const start = sentence.toLowerCase().replace(/[’‘]/g, "'").replace(/^[^a-z]+/, '')
+  if (neutralStart.test(start)) return 'neutral'
+  if (yesStart.test(start)) return 'yes'
+  if (noStart.test(start)) return 'no'
+  return 'neutral'
+}
+
+export function lengthBand(sentence) {
+  const words = sentence.trim().split(/\s+/).filter(Boolean).length
+  if (words <= 4) return 'short'
+  return words <= 9 ? 'medium' : 'long'
+}
+
+const RESERVED_SLOTS = 2  // kept back while streaming for the best of what is still to come
+
+/**
+ * Picks the `count` suggestions to show as they stream in, so the list can be shown before the model has
+ * finished and never reorders: once shown, suggestions stay where they are and more are only added to the end.
+ * Those that mean the same as one already seen are dropped. Each is scored on arrival by the model's own order
+ * (out of the `expected` it was asked for), closeness to `query` (what the suggestions answer) and
+ * personalScore(text) (see preferenceScore).
+ *
+ * While streaming, nothing is shown until there are `count` to choose from; then the best of those take all
+ * but a couple of slots, best first. The reserved slots go to later ones that score better than the weakest of
+ * those, and finish fills what is left with the best of the rest, preferring yes, no or in between and then
+ * lengths not shown yet. If fewer than `count` streamed in (or the provider doesn't stream), finish picks the
+ * same way from all of them and orders the lot by score.
+ *
+ * embed(texts), if given, resolves to a unit length vector per text (or null, e.g. when the model fails);
+ * without it duplicates are found by word overlap and relevance is left out.
+ */
+export function createSuggestionPicker({count, expected = count, embed = null, query = '', personalScore = () => 0}) {
+  const candidates = []  // every unique suggestion so far, in the model's order
+  const shown = []
+  const seen = new Set()
+  const open = Math.max(1, count - RESERVED_SLOTS)
+  let queryEmbedding = null
+  let queue = Promise.resolve()
+
+  const isDuplicate = (a, b) => a.text.toLowerCase() === b.text.toLowerCase() || (a.embedding && b.embedding
+    ? cosineSimilarity(a.embedding, b.embedding) >= DUPLICATE_SIMILARITY
+    : similarity(a.text, b.text) >= DUPLICATE_OVERLAP)
+  const newPolarity = (candidate) => !shown.some(chosen => chosen.polarity === candidate.polarity)
+  const newLength = (candidate) => !shown.some(chosen => chosen.length === candidate.length)
+  const byScore = (a, b) => b.score - a.score || a.index - b.index
+
+  function score(candidate) {
+    const relevance = candidate.embedding && queryEmbedding ? cosineSimilarity(candidate.embedding, queryEmbedding) : 0
+    return WEIGHTS.model * Math.max(0, 1 - candidate.index / expected) + WEIGHTS.relevance * relevance +
+      WEIGHTS.personal * (personalScore(candidate.text) || 0)
+  }
+
+  // show says whether it may go on screen now, i.e. while streaming
+  async function addNow(text, show) {
+    if (seen.has(text)) return
+    seen.add(text)
+    if (embed && query && candidates.length === 0) queryEmbedding = (await embed([query]))?.[0] || null
+    const embedding = embed ? (await embed([text]))?.[0] || null : null
+    const candidate = {text, embedding, index: candidates.length, polarity: polarity(text), length: lengthBand(text)}
+    if (candidates.some(other => isDuplicate(candidate, other))) return
+    candidate.score = score(candidate)
+    candidates.push(candidate)
+    if (!show || shown.length >= count) return
+    if (shown.length === 0) {
+      if (candidates.length === count) shown.push(...[...candidates].sort(byScore).slice(0, open))
+      return
+    }
+    // the last slot stays free for a missing polarity unless this brings one
+    const weakest = Math.min(...shown.slice(0, open).map(chosen => chosen.score))
+    if (candidate.score > weakest && (newPolarity(candidate) || shown.length < count - 1)) shown.push(candidate)
+  }
+
+  function finishNow(rank) {
+    const rest = candidates.filter(candidate => !shown.includes(candidate)).sort(byScore)
+    // a missing polarity first, then a missing length, then the best of the rest
+    while (shown.length < count && rest.length) {
+      const next = rest.find(newPolarity) || rest.find(newLength) || rest[0]
+      rest.splice(rest.indexOf(next), 1)
+      shown.push(next)
+    }
+    if (rank) shown.sort(byScore)
+  }
+
+  const texts = () => shown.map(candidate => candidate.text)
+
+  return {
+    // resolves to the suggestions to show once this one has been considered
+    add(text) {
+      queue = queue.then(() => addNow(text, true))
+      return queue.then(texts)
+    },
+    // all the suggestions, including any that were never added (when the provider doesn't stream)
+    finish(all = []) {
+      queue = queue.then(async () => {
+        const rank = shown.length === 0
+        for (const text of all) await addNow(text, !rank)
+        finishNow(rank)
+      })
+      return queue.then(texts)
+    },
+  }
+}
@@ -0,0 +1,103 @@
+import {concatSamples} from "@/utils/audio.js";
+
+// Energy based voice activity detection: splits a stream of microphone samples into utterances. There is
+// no model involved, so it is cheap enough to run on every frame, and the noise floor adapts so a fan or
+// traffic in the background doesn't count as speech.
+
+export const defaultVADOptions = {
+  sampleRate: 16000,
+  threshold: -45,  // dBFS a frame must reach to count as speech
+  silenceDuration: 800,  // ms of quiet that ends an utterance
+  minSpeechDuration: 200,  // ms of continuous speech before an utterance starts, so clicks and bumps are ignored
+  preRoll: 300,  // ms kept from before speech was detected, so the first syllable isn't cut off
+  maxSegmentDuration: 30000,  // ms, longer utterances are split; Whisper works on 30 second windows
+  noiseMargin: 10,  // dB above the background noise a frame must be to count as speech
+}
+
+export function frameLevel(frame) {
+  let sum = 0
+  for (const sample of frame) sum += sample * sample
+  return 20 * Math.log10(Math.sqrt(sum / (frame.length || 1)) + 1e-10)
+}
+
+/**
+ * Feed it frames of mono samples with process(); onSpeechStart is called once an utterance begins and
+ * onSegment with the whole utterance (Float32Array) once it ends.
+ */
+export class VoiceActivityDetector {
+  constructor(options = {}, {onSpeechStart = () => {}, onSegment = () => {}} = {}) {
+    this.onSpeechStart = onSpeechStart
+    this.onSegment = onSegment
+    this.setOptions(options)
+    this.noiseFloor = this.options.threshold - this.options.noiseMargin
+    this.reset()
+  }
+
+  setOptions(options) {
+    this.options = {...defaultVADOptions, ...this.options, ...options}
+  }
+
+  samples(ms) {
+    return ms * this.options.sampleRate / 1000
+  }
+
+  // Forget anything heard so far without emitting it
+  reset() {
+    this.inSpeech = false
+    this.recent = []  // frames before speech started, for the pre-roll
+    this.recentLength = 0
+    this.segment = []
+    this.segmentLength = 0
+    this.speechRun = 0  // samples of speech in a row
+    this.silenceRun = 0  // samples of quiet in a row
+  }
+
+  isSpeech(level) {
+    return level >= Math.max(this.options.threshold, this.noiseFloor + this.options.noiseMargin)
+  }
+
+  process(frame) {
+    const level = frameLevel(frame)
+    const speech = this.isSpeech(level)
+    if (this.inSpeech) {
+      this.segment.push(frame)
+      this.segmentLength += frame.length
+      this.silenceRun = speech ? 0 : this.silenceRun + frame.length
+      if (this.silenceRun >= this.samples(this.options.silenceDuration) ||
+        this.segmentLength >= this.samples(this.options.maxSegmentDuration)) {
+        this.flush()
+      }
+      return
+    }
+    // only learn the background level while nobody is talking
+    if (!speech) this.noiseFloor = 0.95 * this.noiseFloor + 0.05 * level
+    this.recent.push(frame)
+    this.recentLength += frame.length
+    this.speechRun = speech ? this.speechRun + frame.length : 0
+    if (this.speechRun >= this.samples(this.options.minSpeechDuration)) {
+      this.inSpeech = true
+      this.segment = this.recent
+      this.segmentLength = this.recentLength
+      this.recent = []
+      this.recentLength = 0
+      this.silenceRun = 0
+      this.onSpeechStart()
+      return
+    }
+    const keep = this.samples(this.options.preRoll + this.options.minSpeechDuration)
+    while (this.recent.length > 1 && this.recentLength - this.recent[0].length >= keep) {
+      this.recentLength -= this.recent.shift().length
+    }
+  }
+
+  currentSegment() {
+    return this.inSpeech ? concatSamples(this.segment) : null
+  }
+
+  // End the current utterance now, e.g. when listening stops
+  flush() {
+    const segment = this.inSpeech ? concatSamples(this.segment) : null
+    this.reset()
+    if (segment) this.onSegment(segment)
+  }
+}
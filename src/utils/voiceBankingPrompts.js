@@ -0,0 +1,24 @@
+// Sentences read aloud when banking a voice. Mostly Harvard sentences, which between them cover the sounds of
+// English, followed by everyday phrases so the cloned voice has heard the kind of thing it will say.
+export const voiceBankingPrompts = [
+  'The birch canoe slid on the smooth planks.',
+  'Glue the sheet to the dark blue background.',
+  "It's easy to tell the depth of a well.",
+  'These days a chicken leg is a rare dish.',
+  'Rice is often served in round bowls.',
+  'The juice of lemons makes fine punch.',
+  'The box was thrown beside the parked truck.',
+  'The hogs were fed chopped corn and garbage.',
+  'Four hours of steady work faced us.',
+  'A large size in stockings is hard to sell.',
+  'The boy was there when the sun rose.',
+  'A rod is used to catch pink salmon.',
+  'The source of the huge river is the clear spring.',
+  'Kick the ball straight and follow through.',
+  'Help the woman get back to her feet.',
+  'Could I have a cup of tea, please?',
+  "I'm feeling a bit tired today, can we talk later?",
+  'Thank you so much, that really means a lot to me.',
+  'What time are we heading out this evening?',
+  "I love you, and I'll see you tomorrow.",
+]
@@ -0,0 +1,78 @@
+// A small n-gram language model for suggesting words without an AI model: next words after the ones picked
+// so far, and completions of a half typed word. Scores use "stupid backoff": the trigram estimate if the
+// two words before have been seen together, otherwise a discounted bigram estimate, then unigram.
+
+const START = '<s>'
+const END = '</s>'
+const ORDER = 3
+const BACKOFF = 0.4
+
+// Lower case words, keeping apostrophes inside them (don't, I'm)
+export function tokenise(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu)?.map(word => word.replace('’', "'")) || []
+}
+
+function sentences(text) {
+  return text.split(/[.!?\n]+/).map(tokenise).filter(words => words.length > 0)
+}
+
+export class WordPredictor {
+  constructor() {
+    this.counts = new Map()  // context (the words before, joined by spaces; '' for none) -> Map(word -> count)
+    this.totals = new Map()  // context -> sum of its counts
+  }
+
+  add(context, word, weight) {
+    if (!this.counts.has(context)) this.counts.set(context, new Map())
+    const next = this.counts.get(context)
+    next.set(word, (next.get(word) || 0) + weight)
+    this.totals.set(context, (this.totals.get(context) || 0) + weight)
+  }
+
+  // Learn from something that was said; weight lets the user's own messages count for more than the base
+  learn(text, weight = 1) {
+    for (const words of sentences(text)) {
+      const padded = [START, ...words, END]
+      for (let i = 1; i < padded.length; i++) {
+        for (let n = 0; n < ORDER && i - n >= 0; n++) {
+          this.add(padded.slice(i - n, i).join(' '), padded[i], weight)
+        }
+      }
+    }
+  }
+
+  // Known words with no context, e.g. a language's starter words
+  learnWords(words, weight = 1) {
+    words.flatMap(tokenise).forEach(word => this.add('', word, weight))
+  }
+
+  score(word, context) {
+    for (let n = Math.min(context.length, ORDER - 1), discount = 1; n >= 0; n--, discount *= BACKOFF) {
+      const key = context.slice(context.length - n).join(' ')
+      const count = this.counts.get(key)?.get(word)
+      if (count) return discount * count / this.totals.get(key)
+    }
+    return 0
+  }
+
+  /**
+   * Up to `limit` likely words after `previous` (the words so far, [] at the start of a sentence) that start
+   * with `prefix`, best first. Words in `exclude` are left out.
+   */
+  predict(previous = [], {prefix = '', limit = 10, exclude = []} = {}) {
+    const context = [START, ...previous.flatMap(tokenise)].slice(-(ORDER - 1))
+    const lowerPrefix = prefix.toLowerCase()
+    const skip = new Set([START, END, ...exclude.map(word => word.toLowerCase())])
+    const candidates = new Set()
+    for (let n = 0; n < context.length + 1; n++) {
+      const next = this.counts.get(context.slice(context.length - n).join(' '))
+      next?.forEach((count, word) => candidates.add(word))
+    }
+    return [...candidates]
+      .filter(word => !skip.has(word) && word.startsWith(lowerPrefix))
+      .map(word => [word, this.score(word, context)])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([word]) => word)
+  }
+}
@@ -0,0 +1,28 @@
+// Runs on the audio thread and passes the microphone's samples to the page in batches, for
+// ContinuousListener to resample and run voice activity detection on.
+
+const BATCH_SIZE = 2048  // samples per message, ~43ms at 48kHz
+
+class PCMCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super()
+    this.batch = new Float32Array(BATCH_SIZE)
+    this.length = 0
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0]
+    if (!channel) return true
+    for (let i = 0; i < channel.length; i++) {
+      this.batch[this.length++] = channel[i]
+      if (this.length === BATCH_SIZE) {
+        this.port.postMessage(this.batch, [this.batch.buffer])
+        this.batch = new Float32Array(BATCH_SIZE)
+        this.length = 0
+      }
+    }
+    return true
+  }
+}
+
+registerProcessor('pcm-capture', PCMCaptureProcessor)
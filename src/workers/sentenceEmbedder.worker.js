@@ -0,0 +1,20 @@
+import { pipeline } from "@huggingface/transformers";
+import { handleRequests } from "@/workers/workerProtocol.js";
+
+// A small sentence embedding model (23MB quantised), enough to tell when two suggestions mean the same thing
+const MODEL_ID = 'Xenova/all-MiniLM-L6-v2';
+
+let extractor = null;
+
+handleRequests({
+  async load(payload, { progress }) {
+    extractor ??= await pipeline('feature-extraction', MODEL_ID, { progress_callback: progress });
+  },
+
+  // Resolves to one unit length vector per text
+  async embed({ texts }) {
+    if (!extractor) throw new Error('The sentence embedding model has not been loaded');
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return { embeddings: output.tolist() };
+  },
+});
@@ -0,0 +1,47 @@
+import { WavLMForXVector, AutoModelForAudioFrameClassification, AutoProcessor } from '@huggingface/transformers';
+import { handleRequests } from "@/workers/workerProtocol.js";
+
+// WavLM fine-tuned for speaker verification. Its x-vectors have the 512 values SpeechT5 takes as a speaker, but
+// SpeechT5 was trained on speechbrain's spkrec-xvect-voxceleb ones, which live in a different space, so voices
+// cloned with it only loosely resemble the speaker (which is why the cloned voice is opt-in). Telling speakers
+// apart is unaffected.
+const MODEL_ID = 'Xenova/wavlm-base-plus-sv';
+// pyannote's segmentation model, which says who (of up to three local speakers) is talking when
+const SEGMENTATION_MODEL_ID = 'onnx-community/pyannote-segmentation-3.0';
+
+let encoder = null;
+let segmentation = null;
+
+async function loadModel(modelClass, modelId, progress) {
+  const [processor, model] = await Promise.all([
+    AutoProcessor.from_pretrained(modelId, { progress_callback: progress }),
+    modelClass.from_pretrained(modelId, { progress_callback: progress }),
+  ]);
+  return { processor, model };
+}
+
+handleRequests({
+  async load(payload, { progress }) {
+    encoder ??= await loadModel(WavLMForXVector, MODEL_ID, progress);
+  },
+
+  async loadSegmentation(payload, { progress }) {
+    segmentation ??= await loadModel(AutoModelForAudioFrameClassification, SEGMENTATION_MODEL_ID, progress);
+  },
+
+  // audio: mono Float32Array at 16kHz
+  async embed({ audio }) {
+    if (!encoder) throw new Error('The speaker encoder has not been loaded');
+    const inputs = await encoder.processor(audio);
+    const { embeddings } = await encoder.model(inputs);
+    return { embedding: embeddings.data };
+  },
+
+  // Resolves to [{id, start, end, confidence}] with times in seconds, see speakerTurns for what the ids mean
+  async segment({ audio }) {
+    if (!segmentation) throw new Error('The speaker segmentation model has not been loaded');
+    const inputs = await segmentation.processor(audio);
+    const { logits } = await segmentation.model(inputs);
+    return { segments: segmentation.processor.post_process_speaker_diarization(logits, audio.length)[0] };
+  },
+});
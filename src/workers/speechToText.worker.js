@@ -0,0 +1,24 @@
+import { pipeline } from "@huggingface/transformers";
+import { handleRequests } from "@/workers/workerProtocol.js";
+
+let transcriber = null;
+// Live transcripts can ask for a transcription while another is running; the model takes one at a time
+let queue = Promise.resolve();
+
+handleRequests({
+  async load({ model }, { progress }) {
+    transcriber = await pipeline("automatic-speech-recognition", model, { progress_callback: progress });
+  },
+
+  // audio: mono Float32Array at 16kHz; decoding happens in the page as workers have no AudioContext
+  // language: hint for the multilingual models, e.g. 'welsh'; leave it out for English-only models
+  transcribe({ audio, language }) {
+    const result = queue.then(async () => {
+      if (!transcriber) throw new Error('The speech-to-text model has not been loaded');
+      const output = await transcriber(audio, language ? { language, task: 'transcribe' } : {});
+      return { text: output?.text?.trim() || '' };
+    });
+    queue = result.catch(() => {});
+    return result;
+  },
+});
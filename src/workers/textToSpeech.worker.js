@@ -0,0 +1,31 @@
+import { AutoTokenizer, SpeechT5ForTextToSpeech, SpeechT5HifiGan, Tensor } from '@huggingface/transformers';
+import { handleRequests } from "@/workers/workerProtocol.js";
+
+const MODEL_ID = 'Xenova/speecht5_tts';
+const VOCODER_ID = 'Xenova/speecht5_hifigan';
+const SAMPLE_RATE = 16000;
+
+let models = null;
+
+handleRequests({
+  async load(payload, { progress }) {
+    if (models) return;
+    // NOTE: We use the unquantized versions as they are more accurate
+    const [tokenizer, model, vocoder] = await Promise.all([
+      AutoTokenizer.from_pretrained(MODEL_ID, { progress_callback: progress }),
+      SpeechT5ForTextToSpeech.from_pretrained(MODEL_ID, { dtype: 'fp32', progress_callback: progress }),
+      SpeechT5HifiGan.from_pretrained(VOCODER_ID, { dtype: 'fp32', progress_callback: progress }),
+    ]);
+    models = { tokenizer, model, vocoder };
+  },
+
+  // speakerEmbeddings: Float32Array x-vector for the voice to use
+  async synthesise({ text, speakerEmbeddings }) {
+    if (!models) throw new Error('The voice model has not been loaded');
+    const { tokenizer, model, vocoder } = models;
+    const { input_ids } = tokenizer(text);
+    const speaker = new Tensor('float32', speakerEmbeddings, [1, speakerEmbeddings.length]);
+    const { waveform } = await model.generate_speech(input_ids, speaker, { vocoder });
+    return { audio: waveform.data, sampleRate: SAMPLE_RATE };
+  },
+});
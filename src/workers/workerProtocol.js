@@ -0,0 +1,70 @@
+// The message protocol between the app and its model workers.
+//
+// app -> worker:  {id, type, payload}          type is one of the worker's handler names, e.g. 'load'
+// worker -> app:  {id, type: 'progress', info}  model download progress from transformers.js
+//                 {id, type: 'result', result}
+//                 {id, type: 'error', message}
+//
+// Every request gets exactly one result or error back, with the id it was sent with.
+
+/**
+ * Worker side: answer requests with the given handlers, `async (payload, {progress}) => result`.
+ * Typed arrays in the result are transferred rather than copied.
+ */
+export function handleRequests(handlers) {
+  self.onmessage = async ({data: {id, type, payload}}) => {
+    const progress = (info) => self.postMessage({id, type: 'progress', info})
+    try {
+      if (!handlers[type]) throw new Error(`Unknown request type '${type}'`)
+      const result = await handlers[type](payload, {progress})
+      const transfer = Object.values(result || {}).filter(ArrayBuffer.isView).map(view => view.buffer)
+      self.postMessage({id, type: 'result', result}, transfer)
+    } catch (err) {
+      self.postMessage({id, type: 'error', message: err?.message || String(err)})
+    }
+  }
+}
+
+/**
+ * App side: send requests to a worker and get promises back.
+ */
+export class WorkerClient {
+  constructor(worker) {
+    this.worker = worker
+    this.nextId = 0
+    this.pending = new Map()  // id -> {resolve, reject, onProgress}
+    worker.onmessage = ({data}) => this.receive(data)
+    // e.g. the worker script failed to load; nothing in flight will get an answer
+    worker.onerror = (event) => {
+      event.preventDefault?.()
+      this.rejectAll(new Error(event.message || 'The worker stopped unexpectedly'))
+    }
+  }
+
+  request(type, payload, {onProgress, transfer = []} = {}) {
+    const id = this.nextId++
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, {resolve, reject, onProgress})
+      this.worker.postMessage({id, type, payload}, transfer)
+    })
+  }
+
+  receive({id, type, info, result, message}) {
+    const request = this.pending.get(id)
+    if (!request) return
+    if (type === 'progress') return request.onProgress?.(info)
+    this.pending.delete(id)
+    if (type === 'result') request.resolve(result)
+    else request.reject(new Error(message))
+  }
+
+  rejectAll(err) {
+    this.pending.forEach(request => request.reject(err))
+    this.pending.clear()
+  }
+
+  terminate() {
+    this.worker.terminate()
+    this.rejectAll(new Error('The worker was stopped'))
+  }
+}
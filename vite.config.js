@@ -9,6 +9,10 @@ export default defineConfig({
     vue(),
   ],
   base: '/',
+  worker: {
+    // the model workers are module workers, and transformers.js is split into chunks
+    format: 'es',
+  },
   resolve: {
     alias: {
       '@': fileURLToPath(new URL('./src', import.meta.url))